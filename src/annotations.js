@@ -0,0 +1,109 @@
+// @ts-check
+const core = require('@actions/core')
+const { issueCommand } = require('@actions/core/lib/command')
+const fs = require('fs')
+const path = require('path')
+const { getInputBool, getInput } = require('./inputs')
+const { paths } = require('./paths')
+const { getTestError } = require('./results')
+
+const escapeRegExp = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/**
+ * Finds the line of the test in the spec source by looking for
+ * "it('title'" and then for the spec file position in the error stack.
+ * Returns 1 if the test cannot be found.
+ */
+const findTestLine = (specFilename, test, error) => {
+  const testName = test.title[test.title.length - 1]
+  const testRegExp = new RegExp(
+    `\\b(?:it|specify|test)(?:\\.only)?\\s*\\(\\s*(['"\`])${escapeRegExp(
+      testName
+    )}\\1`
+  )
+  try {
+    const lines = fs.readFileSync(specFilename, 'utf8').split('\n')
+    const index = lines.findIndex(line => testRegExp.test(line))
+    if (index !== -1) {
+      return index + 1
+    }
+  } catch (e) {
+    core.debug(`could not read spec ${specFilename}: ${e.message}`)
+  }
+
+  if (error && error.stack) {
+    const stackRegExp = new RegExp(
+      `${escapeRegExp(path.basename(specFilename))}:(\\d+)`
+    )
+    const match = error.stack.match(stackRegExp)
+    if (match) {
+      return parseInt(match[1])
+    }
+  }
+
+  return 1
+}
+
+/**
+ * Adds error annotations pointing at the failed tests, so they are shown
+ * next to the spec source in the pull request. Uses workflow commands,
+ * thus the spec paths are relative to the repository root.
+ * @see https://docs.github.com/en/actions/reference/workflow-commands-for-github-actions#setting-an-error-message
+ */
+const annotateFailedTestsMaybe = testResults => {
+  if (!getInputBool('annotate', true)) {
+    core.debug('Skipping annotations: annotate parameter is false')
+    return
+  }
+
+  const maxAnnotations = parseInt(getInput('max-annotations') || '10')
+  const repoRoot =
+    process.env.GITHUB_WORKSPACE || paths.startWorkingDirectory
+  // spec paths in the results are relative to the Cypress project
+  const projectRoot = path.resolve(
+    paths.workingDirectory,
+    paths.project || '.'
+  )
+
+  let annotated = 0
+  let failed = 0
+  ;(testResults.runs || []).forEach(run => {
+    ;(run.tests || []).forEach(test => {
+      if (test.state !== 'failed') {
+        return
+      }
+      failed += 1
+      if (annotated >= maxAnnotations) {
+        return
+      }
+      annotated += 1
+
+      const specFilename =
+        run.spec.absolute || path.join(projectRoot, run.spec.relative)
+      const error = getTestError(test)
+      const file = path
+        .relative(repoRoot, specFilename)
+        .split(path.sep)
+        .join('/')
+      const line = findTestLine(specFilename, test, error)
+
+      issueCommand(
+        'error',
+        { file, line, title: test.title.join(' > ') },
+        error ? error.message : 'Test failed'
+      )
+    })
+  })
+
+  if (failed > annotated) {
+    core.warning(
+      `Annotated ${annotated} of ${failed} failed tests, see max-annotations parameter`
+    )
+  }
+}
+
+module.exports = {
+  escapeRegExp,
+  findTestLine,
+  annotateFailedTestsMaybe
+}
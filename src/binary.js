@@ -0,0 +1,246 @@
+// @ts-check
+const core = require('@actions/core')
+const io = require('@actions/io')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const stream = require('stream')
+const util = require('util')
+const got = require('got')
+const hasha = require('hasha')
+const { getInput } = require('./inputs')
+const { paths } = require('./paths')
+const { CYPRESS_CACHE_FOLDER, getCypressVersion } = require('./cache')
+
+const pipeline = util.promisify(stream.pipeline)
+
+// where Cypress downloads its binary from by default
+const DEFAULT_DOWNLOAD_URL = 'https://download.cypress.io'
+
+const isUrl = s => /^https?:\/\//.test(s)
+
+/**
+ * Returns the Cypress versions with a binary in the cache folder,
+ * like "cypress cache list" shows them.
+ */
+const getCachedCypressVersions = () => {
+  if (!fs.existsSync(CYPRESS_CACHE_FOLDER)) {
+    return []
+  }
+  return fs
+    .readdirSync(CYPRESS_CACHE_FOLDER)
+    .filter(name => /^\d+\.\d+\.\d+/.test(name))
+    .filter(version =>
+      ['Cypress', 'Cypress.app'].some(name =>
+        fs.existsSync(path.join(CYPRESS_CACHE_FOLDER, version, name))
+      )
+    )
+}
+
+/**
+ * Parses the "binary-checksum" parameter, either a hex SHA-256
+ * or SHA-512 hash, or the hash with its algorithm like "sha256:...".
+ * Returns undefined if the parameter is not set.
+ */
+const getBinaryChecksum = () => {
+  const checksum = getInput('binary-checksum').trim()
+  if (!checksum) {
+    return
+  }
+  const match = checksum.match(/^(?:(sha256|sha512):)?([0-9a-f]+)$/i)
+  const lengths = { sha256: 64, sha512: 128 }
+  const algorithm = match
+    ? match[1] ||
+      Object.keys(lengths).find(
+        name => lengths[name] === match[2].length
+      )
+    : undefined
+  if (
+    !algorithm ||
+    match[2].length !== lengths[algorithm.toLowerCase()]
+  ) {
+    throw new Error(
+      `binary-checksum should be a SHA-256 or SHA-512 hex hash, got "${checksum}"`
+    )
+  }
+  return {
+    algorithm: algorithm.toLowerCase(),
+    hash: match[2].toLowerCase()
+  }
+}
+
+/**
+ * Returns where the Cypress binary for the given version comes from:
+ * the local zip file or the URL from the "install-binary" parameter,
+ * or the download URL using the "download-mirror" parameter.
+ */
+const getBinarySource = version => {
+  const installBinary = getInput('install-binary')
+  if (installBinary) {
+    return isUrl(installBinary)
+      ? { url: installBinary }
+      : {
+          filename: path.resolve(
+            paths.startWorkingDirectory,
+            installBinary
+          )
+        }
+  }
+  const mirror = (
+    getInput('download-mirror') || DEFAULT_DOWNLOAD_URL
+  ).replace(/\/+$/, '')
+  const arch = process.arch === 'ia32' ? 'x86' : process.arch
+  return {
+    url: `${mirror}/desktop/${version}?platform=${process.platform}&arch=${arch}`
+  }
+}
+
+const downloadBinary = async url => {
+  const folder = fs.mkdtempSync(
+    path.join(process.env.RUNNER_TEMP || os.tmpdir(), 'cypress-')
+  )
+  const filename = path.join(folder, 'cypress.zip')
+  console.log('downloading Cypress binary from %s', url)
+  try {
+    await pipeline(got.stream(url), fs.createWriteStream(filename))
+  } catch (e) {
+    await io.rmRF(folder)
+    throw new Error(
+      `Could not download the Cypress binary from ${url}: ${e.message}`
+    )
+  }
+  return filename
+}
+
+const verifyChecksum = async (filename, checksum, source) => {
+  const hash = await hasha.fromFile(filename, {
+    algorithm: checksum.algorithm
+  })
+  if (hash !== checksum.hash) {
+    throw new Error(
+      `Cypress binary ${source} has ${checksum.algorithm} checksum ${hash}, expected ${checksum.hash}`
+    )
+  }
+  console.log('Cypress binary %s checksum is correct', source)
+}
+
+// the variables the user has set for the Cypress install, if any
+const USER_INSTALL_BINARY = process.env.CYPRESS_INSTALL_BINARY
+const USER_DOWNLOAD_MIRROR = process.env.CYPRESS_DOWNLOAD_MIRROR
+
+const setBinaryVariable = (name, value) => {
+  if (value === undefined) {
+    delete process.env[name]
+  } else {
+    process.env[name] = value
+  }
+}
+
+/**
+ * Tells the Cypress install where to get its binary from, before
+ * installing the NPM dependencies. Skips the download completely if
+ * the cache folder already has the binary of the required version.
+ * With the "binary-checksum" parameter, downloads the binary itself
+ * and verifies its checksum before letting Cypress install it.
+ * @see https://on.cypress.io/installing-cypress#Advanced
+ */
+const prepareCypressBinary = async () => {
+  // every project might need a different binary
+  setBinaryVariable('CYPRESS_INSTALL_BINARY', USER_INSTALL_BINARY)
+  setBinaryVariable('CYPRESS_DOWNLOAD_MIRROR', USER_DOWNLOAD_MIRROR)
+  if (USER_INSTALL_BINARY) {
+    core.debug(
+      `using CYPRESS_INSTALL_BINARY=${USER_INSTALL_BINARY} set by the user`
+    )
+    return
+  }
+
+  const version = getCypressVersion()
+  if (version && getCachedCypressVersions().includes(version)) {
+    console.log(
+      'Cypress %s binary is in the cache folder, skipping its download',
+      version
+    )
+    process.env.CYPRESS_INSTALL_BINARY = '0'
+    return
+  }
+
+  const installBinary = getInput('install-binary')
+  const downloadMirror = getInput('download-mirror')
+  const checksum = getBinaryChecksum()
+  if (!installBinary && !downloadMirror && !checksum) {
+    return
+  }
+  if (!installBinary && !version) {
+    throw new Error(
+      'Cannot find the Cypress version to download its binary, set install-binary to the binary zip file or URL'
+    )
+  }
+
+  const source = getBinarySource(version)
+  const sourceName = source.filename || source.url
+  if (source.filename && !fs.existsSync(source.filename)) {
+    throw new Error(
+      `Cypress binary zip file ${source.filename} does not exist`
+    )
+  }
+  if (!checksum) {
+    if (installBinary) {
+      process.env.CYPRESS_INSTALL_BINARY = sourceName
+    } else {
+      process.env.CYPRESS_DOWNLOAD_MIRROR = downloadMirror
+    }
+    console.log('installing Cypress binary from %s', sourceName)
+    return
+  }
+
+  const filename =
+    source.filename || (await downloadBinary(source.url))
+  try {
+    await verifyChecksum(filename, checksum, sourceName)
+  } catch (e) {
+    if (!source.filename) {
+      await io.rmRF(path.dirname(filename))
+    }
+    throw e
+  }
+  process.env.CYPRESS_INSTALL_BINARY = filename
+  console.log('installing Cypress binary from %s', filename)
+}
+
+/**
+ * Replaces the "cypress verify" failure with the reason if
+ * the binary of the required version is not in the cache folder.
+ */
+const explainBinaryError = error => {
+  const version = getCypressVersion()
+  const cachedVersions = getCachedCypressVersions()
+  if (!version) {
+    return error
+  }
+  if (cachedVersions.includes(version)) {
+    return new Error(
+      `Cypress ${version} binary in ${CYPRESS_CACHE_FOLDER} could not be verified, see the "cypress verify" output above: ${error.message}`
+    )
+  }
+  const found = cachedVersions.length
+    ? `it has ${cachedVersions.join(', ')} instead`
+    : 'it has no binaries'
+  const source =
+    getInput('install-binary') || getInput('download-mirror')
+  return new Error(
+    `Cypress ${version} binary is missing from ${CYPRESS_CACHE_FOLDER}, ${found}. ` +
+      (source
+        ? `Check that ${source} has the Cypress ${version} binary.`
+        : 'Check that the install step has downloaded the binary.')
+  )
+}
+
+module.exports = {
+  DEFAULT_DOWNLOAD_URL,
+  getCachedCypressVersions,
+  getBinaryChecksum,
+  getBinarySource,
+  prepareCypressBinary,
+  explainBinaryError
+}
@@ -0,0 +1,139 @@
+// @ts-check
+const core = require('@actions/core')
+const exec = require('@actions/exec')
+const fs = require('fs')
+const path = require('path')
+const quote = require('quote')
+const { getInputBool, getInputList } = require('./inputs')
+const { paths } = require('./paths')
+const { getPackageRunner } = require('./install')
+const { stripAnsi } = require('./servers')
+
+// browsers to test in and whether they were found on this machine
+let browserChecks = []
+
+const resetBrowserChecks = () => {
+  browserChecks = []
+}
+
+/**
+ * Parses the browsers detected by "cypress info" from its output
+ * @see https://on.cypress.io/command-line#cypress-info
+ */
+const parseCypressInfo = output =>
+  stripAnsi(output)
+    .split(/\n(?=\s*\d+\.\s)/)
+    .map(block => {
+      const name = block.match(/-\s*Name:\s*(\S+)/)
+      const channel = block.match(/-\s*Channel:\s*(\S+)/)
+      return (
+        name && {
+          name: name[1],
+          channel: channel ? channel[1] : 'stable'
+        }
+      )
+    })
+    .filter(Boolean)
+
+const getDetectedBrowsers = async () => {
+  const runner = await getPackageRunner()
+  let output = ''
+  await exec.exec(
+    quote(runner.toolPath),
+    runner.args.concat(['cypress', 'info']),
+    {
+      ...paths.cypressCommandOptions,
+      listeners: {
+        stdout: data => {
+          output += data.toString()
+        }
+      }
+    }
+  )
+  return parseCypressInfo(output)
+}
+
+/**
+ * Electron comes with Cypress, a browser path should exist,
+ * a browser name like "chrome" or "chrome:canary" should be
+ * among the detected browsers, Cypress uses the stable channel by default.
+ */
+const isBrowserAvailable = (browser, detectedBrowsers) => {
+  if (/[/\\]/.test(browser)) {
+    return fs.existsSync(
+      path.resolve(paths.workingDirectory, browser)
+    )
+  }
+  const [name, channel = 'stable'] = browser.split(':')
+  if (name === 'electron') {
+    return true
+  }
+  return detectedBrowsers.some(
+    detected => detected.name === name && detected.channel === channel
+  )
+}
+
+/**
+ * When testing in several browsers, finds the missing browsers up front
+ * using "cypress info". Fails, or skips the missing browsers
+ * if the "skip-missing-browsers" parameter is true.
+ */
+const checkBrowsersMaybe = async () => {
+  const browsers = getInputList('browser')
+  browserChecks = browsers.map(browser => ({
+    browser,
+    available: true
+  }))
+  if (browsers.length < 2 || !getInputBool('runTests', true)) {
+    return
+  }
+
+  const detectedBrowsers = await getDetectedBrowsers()
+  core.debug(`detected browsers ${JSON.stringify(detectedBrowsers)}`)
+  browserChecks.forEach(check => {
+    check.available = isBrowserAvailable(
+      check.browser,
+      detectedBrowsers
+    )
+  })
+
+  const missing = browserChecks
+    .filter(check => !check.available)
+    .map(check => check.browser)
+  if (!missing.length) {
+    return
+  }
+  if (!getInputBool('skip-missing-browsers')) {
+    throw new Error(
+      `Cannot find browser(s) ${missing.join(
+        ', '
+      )}, found ${detectedBrowsers
+        .map(detected => `${detected.name}:${detected.channel}`)
+        .join(', ') || 'none'}`
+    )
+  }
+  missing.forEach(browser => {
+    core.warning(`Skipping browser ${browser}, it was not found`)
+  })
+}
+
+/**
+ * Returns the browsers to test in from the "browser" parameter,
+ * with the results of "checkBrowsersMaybe" if it has checked them.
+ */
+const getBrowserChecks = () =>
+  browserChecks.length
+    ? browserChecks
+    : getInputList('browser').map(browser => ({
+        browser,
+        available: true
+      }))
+
+module.exports = {
+  parseCypressInfo,
+  getDetectedBrowsers,
+  isBrowserAvailable,
+  checkBrowsersMaybe,
+  resetBrowserChecks,
+  getBrowserChecks
+}
@@ -0,0 +1,279 @@
+// @ts-check
+const { restoreCache, saveCache } = require('@actions/cache')
+const core = require('@actions/core')
+const io = require('@actions/io')
+const fs = require('fs')
+const path = require('path')
+const { getInput } = require('./inputs')
+const { paths } = require('./paths')
+const { homeDirectory, platformAndArch } = require('./utils')
+const {
+  lockHash,
+  useYarnBerry,
+  useYarn,
+  usePnpm,
+  getYarnBerryCacheFolder,
+  getLockFilename
+} = require('./package-manager')
+
+// enforce the same NPM cache folder across different operating systems
+const NPM_CACHE_FOLDER = path.join(homeDirectory, '.npm')
+
+// and the same pnpm store folder
+const PNPM_STORE_FOLDER = path.join(homeDirectory, '.pnpm-store')
+
+const getNpmCache = () => {
+  const o = {}
+  let key = getInput('cache-key')
+  const hash = lockHash()
+  if (!key) {
+    if (useYarnBerry()) {
+      key = `yarn-berry-${platformAndArch}-${hash}`
+    } else if (useYarn()) {
+      key = `yarn-${platformAndArch}-${hash}`
+    } else if (usePnpm()) {
+      key = `pnpm-${platformAndArch}-${hash}`
+    } else {
+      key = `npm-${platformAndArch}-${hash}`
+    }
+  } else {
+    console.log('using custom cache key "%s"', key)
+  }
+
+  if (useYarnBerry()) {
+    o.inputPath = getYarnBerryCacheFolder()
+  } else if (useYarn()) {
+    o.inputPath = path.join(homeDirectory, '.cache', 'yarn')
+  } else if (usePnpm()) {
+    o.inputPath = PNPM_STORE_FOLDER
+  } else {
+    o.inputPath = NPM_CACHE_FOLDER
+  }
+
+  o.restoreKeys = o.primaryKey = key
+  return o
+}
+
+// custom Cypress binary cache folder
+// see https://on.cypress.io/caching
+const CYPRESS_CACHE_FOLDER = path.join(
+  homeDirectory,
+  '.cache',
+  'Cypress'
+)
+
+/**
+ * Finds the Cypress version resolved in the lock file,
+ * supports "package-lock.json", "yarn.lock" and "pnpm-lock.yaml" formats.
+ */
+const getCypressVersionFromLockFile = () => {
+  const lockFilename = getLockFilename()
+  if (!fs.existsSync(lockFilename)) {
+    return
+  }
+  const text = fs.readFileSync(lockFilename, 'utf8')
+
+  if (lockFilename === paths.packageLockFilename) {
+    const lock = JSON.parse(text)
+    const cypressPackage =
+      (lock.packages && lock.packages['node_modules/cypress']) ||
+      (lock.dependencies && lock.dependencies.cypress)
+    return cypressPackage && cypressPackage.version
+  }
+
+  if (lockFilename === paths.pnpmFilename) {
+    // "/cypress/5.5.0:", "/cypress@5.5.0:" or "cypress@5.5.0:"
+    const match = text.match(
+      /^\s*['"]?\/?cypress[@/](\d+\.\d+\.\d+[^:'"\s(]*)/m
+    )
+    return match && match[1]
+  }
+
+  // Yarn v1 'cypress@^5.0.0:\n  version "5.5.0"'
+  // and Yarn 2+ '"cypress@npm:^5.0.0":\n  version: 5.5.0'
+  const match = text.match(
+    /^"?cypress@[^\n]*:\s*\n\s+version:?\s+"?([^"\s]+)"?/m
+  )
+  return match && match[1]
+}
+
+/**
+ * Returns the Cypress version the project uses, either from the lock file
+ * or from the installed "cypress" package if there is one.
+ */
+const getCypressVersion = () => {
+  try {
+    const version = getCypressVersionFromLockFile()
+    if (version) {
+      return version
+    }
+  } catch (e) {
+    core.debug(
+      `could not read Cypress version from lock file: ${e.message}`
+    )
+  }
+
+  try {
+    const cypressPackageFilename = require.resolve(
+      'cypress/package.json',
+      { paths: [paths.workingDirectory] }
+    )
+    return JSON.parse(fs.readFileSync(cypressPackageFilename, 'utf8'))
+      .version
+  } catch (e) {
+    core.debug(`could not find installed Cypress: ${e.message}`)
+  }
+}
+
+/**
+ * The Cypress binary cache key uses the Cypress version, thus updating
+ * other dependencies does not invalidate the cache. Falls back to the
+ * lock file hash if the version cannot be determined.
+ */
+const getCypressBinaryCache = () => {
+  const version = getCypressVersion()
+  const o = {
+    inputPath: CYPRESS_CACHE_FOLDER,
+    restoreKeys: `cypress-${platformAndArch}-`,
+    version
+  }
+  o.primaryKey = o.restoreKeys + (version || lockHash())
+  return o
+}
+
+const getFolderSize = folder => {
+  let size = 0
+  if (!fs.existsSync(folder)) {
+    return size
+  }
+  fs.readdirSync(folder).forEach(name => {
+    const stats = fs.lstatSync(path.join(folder, name))
+    size += stats.isDirectory()
+      ? getFolderSize(path.join(folder, name))
+      : stats.size
+  })
+  return size
+}
+
+/**
+ * Removes the Cypress binaries of other versions from the cache folder,
+ * so the saved cache only holds the binaries the projects use.
+ * Keeps everything if the version of any project is unknown.
+ * @param {(string|undefined)[]} versions the versions to keep
+ */
+const pruneCypressBinaries = versions => {
+  if (
+    !versions.length ||
+    !versions.every(Boolean) ||
+    !fs.existsSync(CYPRESS_CACHE_FOLDER)
+  ) {
+    return Promise.resolve()
+  }
+
+  const oldVersions = fs
+    .readdirSync(CYPRESS_CACHE_FOLDER)
+    .filter(
+      name => /^\d+\.\d+\.\d+/.test(name) && !versions.includes(name)
+    )
+  return Promise.all(
+    oldVersions.map(name => {
+      console.log('removing old Cypress binary %s', name)
+      return io.rmRF(path.join(CYPRESS_CACHE_FOLDER, name))
+    })
+  )
+}
+
+const restoreCachedNpm = () => {
+  core.debug('trying to restore cached NPM modules')
+  const NPM_CACHE = getNpmCache()
+  return restoreCache([NPM_CACHE.inputPath], NPM_CACHE.primaryKey, [
+    NPM_CACHE.restoreKeys
+  ]).catch(e => {
+    console.warn('Restoring NPM cache error: %s', e.message)
+  })
+}
+
+const saveCachedNpm = () => {
+  core.debug('saving NPM modules')
+  const NPM_CACHE = getNpmCache()
+  return saveCache([NPM_CACHE.inputPath], NPM_CACHE.primaryKey).catch(
+    e => {
+      console.warn('Saving NPM cache error: %s', e.message)
+    }
+  )
+}
+
+/**
+ * Restores the Cypress binary cache and resolves with true
+ * only if the cache for the exact Cypress version was found.
+ */
+const restoreCachedCypressBinary = () => {
+  core.debug('trying to restore cached Cypress binary')
+  const CYPRESS_BINARY_CACHE = getCypressBinaryCache()
+  const started = +new Date()
+  return restoreCache(
+    [CYPRESS_BINARY_CACHE.inputPath],
+    CYPRESS_BINARY_CACHE.primaryKey,
+    [CYPRESS_BINARY_CACHE.restoreKeys]
+  )
+    .then(cacheKey => {
+      const cacheHit = cacheKey === CYPRESS_BINARY_CACHE.primaryKey
+      core.setOutput('cypressCacheHit', cacheHit)
+      core.setOutput('cypressCacheRestoreTime', +new Date() - started)
+      core.setOutput(
+        'cypressCacheSize',
+        getFolderSize(CYPRESS_BINARY_CACHE.inputPath)
+      )
+      return cacheHit
+    })
+    .catch(e => {
+      console.warn('Restoring Cypress cache error: %s', e.message)
+    })
+}
+
+/**
+ * Saves the Cypress binary cache, keeping the binaries of the given
+ * versions, like the versions used by the other projects,
+ * or only the binary of the current project by default.
+ */
+const saveCachedCypressBinary = keepVersions => {
+  core.debug('saving Cypress binary')
+  const CYPRESS_BINARY_CACHE = getCypressBinaryCache()
+  let started
+  return pruneCypressBinaries(
+    keepVersions || [CYPRESS_BINARY_CACHE.version]
+  )
+    .then(() => {
+      started = +new Date()
+      return saveCache(
+        [CYPRESS_BINARY_CACHE.inputPath],
+        CYPRESS_BINARY_CACHE.primaryKey
+      )
+    })
+    .then(() => {
+      core.setOutput('cypressCacheSaveTime', +new Date() - started)
+      core.setOutput(
+        'cypressCacheSize',
+        getFolderSize(CYPRESS_BINARY_CACHE.inputPath)
+      )
+    })
+    .catch(e => {
+      console.warn('Saving Cypress cache error: %s', e.message)
+    })
+}
+
+module.exports = {
+  NPM_CACHE_FOLDER,
+  PNPM_STORE_FOLDER,
+  getNpmCache,
+  CYPRESS_CACHE_FOLDER,
+  getCypressVersionFromLockFile,
+  getCypressVersion,
+  getCypressBinaryCache,
+  getFolderSize,
+  pruneCypressBinaries,
+  restoreCachedNpm,
+  saveCachedNpm,
+  restoreCachedCypressBinary,
+  saveCachedCypressBinary
+}
@@ -0,0 +1,166 @@
+// @ts-check
+const core = require('@actions/core')
+const YAML = require('yaml')
+const { getInput, getInputList } = require('./inputs')
+
+/**
+ * Splits the text on the commas outside "[...]" and "{...}",
+ * like Cypress splits its "--env" and "--config" arguments.
+ */
+const splitOnTopLevelCommas = text => {
+  const parts = []
+  let depth = 0
+  let start = 0
+  for (let k = 0; k < text.length; k += 1) {
+    const c = text[k]
+    if (c === '[' || c === '{') {
+      depth += 1
+    } else if ((c === ']' || c === '}') && depth > 0) {
+      depth -= 1
+    } else if (c === ',' && !depth) {
+      parts.push(text.slice(start, k))
+      start = k + 1
+    }
+  }
+  parts.push(text.slice(start))
+  return parts
+}
+
+/**
+ * Converts a "key=value" string value the way Cypress does:
+ * booleans, numbers, JSON arrays and objects, lists like "[a,b]"
+ * into arrays, strings otherwise.
+ */
+const coerceValue = value => {
+  if (value === 'true' || value === 'false') {
+    return value === 'true'
+  }
+  if (value !== '' && !isNaN(Number(value))) {
+    return Number(value)
+  }
+  if (/^[[{]/.test(value)) {
+    try {
+      return JSON.parse(value)
+    } catch (e) {
+      // not JSON, a list like "[a.com,b.com]" is still an array
+      if (/^\[.*\]$/.test(value)) {
+        return splitOnTopLevelCommas(value.slice(1, -1))
+          .map(s => s.trim())
+          .filter(Boolean)
+          .map(coerceValue)
+      }
+    }
+  }
+  return value
+}
+
+/**
+ * Parses "key=value" pairs, one per line, or separated by commas
+ * outside of "[...]" and "{...}" if the text is a single line.
+ * Lines starting with "#" are comments.
+ */
+const parseKeyValues = text => {
+  const pairs = text.includes('\n')
+    ? text.split(/\r?\n/)
+    : splitOnTopLevelCommas(text)
+  const object = {}
+  pairs
+    .map(s => s.trim())
+    .filter(s => s && !s.startsWith('#'))
+    .forEach(pair => {
+      const [key, ...value] = pair.split('=')
+      if (!value.length) {
+        throw new Error(`Expected "key=value", got "${pair}"`)
+      }
+      object[key.trim()] = coerceValue(value.join('=').trim())
+    })
+  return object
+}
+
+/**
+ * Parses the parameter with a JSON object, a YAML object,
+ * or "key=value" pairs into an object.
+ * Returns undefined if the parameter is not set.
+ */
+const parseObjectInput = name => {
+  const text = getInput(name)
+  if (!text) {
+    return
+  }
+
+  let object
+  try {
+    if (text.startsWith('{')) {
+      object = JSON.parse(text)
+    } else if (/^[^\n:]+=/.test(text)) {
+      object = parseKeyValues(text)
+    } else {
+      object = YAML.parse(text)
+    }
+  } catch (e) {
+    throw new Error(`Cannot parse ${name} parameter: ${e.message}`)
+  }
+
+  if (
+    !object ||
+    typeof object !== 'object' ||
+    Array.isArray(object)
+  ) {
+    throw new Error(
+      `Expected ${name} parameter to be an object, "key=value" pairs, JSON or YAML`
+    )
+  }
+  return object
+}
+
+/**
+ * Returns the Cypress environment variables from the "env" parameter,
+ * after masking the values of the keys listed in "sensitive-env"
+ * so they never show up in the logs.
+ */
+const getEnvInput = () => {
+  const env = parseObjectInput('env')
+  if (!env) {
+    return
+  }
+  getInputList('sensitive-env').forEach(key => {
+    if (key in env) {
+      const value = env[key]
+      core.setSecret(
+        typeof value === 'string' ? value : JSON.stringify(value)
+      )
+    } else {
+      core.debug(`sensitive env ${key} is not in the env parameter`)
+    }
+  })
+  return env
+}
+
+const getConfigInput = () => parseObjectInput('config')
+
+/**
+ * Serializes the object for "--env" and "--config" command line
+ * arguments: "key=value" pairs separated by commas if that is
+ * unambiguous, JSON otherwise.
+ */
+const toCommandLineValue = object => {
+  const keys = Object.keys(object)
+  // Cypress should parse every value back to the same value
+  const simple = keys.every(key => {
+    const value = String(object[key])
+    return !/[,=]/.test(value) && coerceValue(value) === object[key]
+  })
+  return simple
+    ? keys.map(key => `${key}=${object[key]}`).join(',')
+    : JSON.stringify(object)
+}
+
+module.exports = {
+  splitOnTopLevelCommas,
+  coerceValue,
+  parseKeyValues,
+  parseObjectInput,
+  getEnvInput,
+  getConfigInput,
+  toCommandLineValue
+}
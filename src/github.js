@@ -0,0 +1,283 @@
+// @ts-check
+const core = require('@actions/core')
+const { Octokit } = require('@octokit/core')
+const fs = require('fs')
+
+/**
+ * Creates GitHub API client using GITHUB_TOKEN. Honors GITHUB_API_URL
+ * to work with GitHub Enterprise Server or a local mock API server.
+ */
+const getOctokit = () => {
+  const options = {
+    auth: process.env.GITHUB_TOKEN
+  }
+  if (process.env.GITHUB_API_URL) {
+    options.baseUrl = process.env.GITHUB_API_URL
+  }
+  return new Octokit(options)
+}
+
+/**
+ * Reads the webhook payload of the event that triggered the workflow
+ */
+const getEventPayload = () => {
+  const { GITHUB_EVENT_PATH } = process.env
+  if (!GITHUB_EVENT_PATH || !fs.existsSync(GITHUB_EVENT_PATH)) {
+    return {}
+  }
+  return JSON.parse(fs.readFileSync(GITHUB_EVENT_PATH, 'utf8'))
+}
+
+/**
+ * Returns the branch name from the Git reference like "refs/heads/main"
+ */
+const getBranchFromRef = ref => {
+  if (ref && ref.startsWith('refs/heads/')) {
+    return ref.slice('refs/heads/'.length)
+  }
+}
+
+/**
+ * Asks GitHub about the workflow run to find its branch,
+ * for the events like "schedule" that do not have it.
+ */
+const getWorkflowRunBranch = async () => {
+  const { GITHUB_RUN_ID, GITHUB_REPOSITORY } = process.env
+  const [owner, repo] = GITHUB_REPOSITORY.split('/')
+  core.debug(`Asking GitHub about the branch of run ${GITHUB_RUN_ID}`)
+
+  const resp = await getOctokit().request(
+    'GET /repos/:owner/:repo/actions/runs/:run_id',
+    {
+      owner,
+      repo,
+      run_id: parseInt(GITHUB_RUN_ID)
+    }
+  )
+  if (resp && resp.data && resp.data.head_branch) {
+    core.debug(`found the branch name ${resp.data.head_branch}`)
+    return resp.data.head_branch
+  }
+}
+
+/**
+ * Gets the commit message and author from GitHub commits API
+ */
+const getCommitDetails = async sha => {
+  const [owner, repo] = process.env.GITHUB_REPOSITORY.split('/')
+  core.debug(`Asking GitHub about commit ${sha}`)
+
+  const resp = await getOctokit().request(
+    'GET /repos/:owner/:repo/commits/:ref',
+    {
+      owner,
+      repo,
+      ref: sha
+    }
+  )
+  const { message, author } = resp.data.commit
+  return {
+    message,
+    author: author && author.name,
+    email: author && author.email
+  }
+}
+
+// the commit info is the same for all projects, browsers and retries
+let commitInfo
+
+const resetCommitInfo = () => {
+  commitInfo = undefined
+}
+
+/**
+ * Finds the branch, commit and pull request the workflow runs for.
+ * For pull requests these are the head branch and the head commit,
+ * not the merge commit GitHub checks out. Uses the event payload,
+ * and the GitHub API when the payload does not have everything.
+ */
+const findCommitInfo = async () => {
+  const {
+    GITHUB_REF,
+    GITHUB_SHA,
+    GITHUB_TOKEN,
+    GITHUB_REPOSITORY,
+    GITHUB_SERVER_URL
+  } = process.env
+  const payload = getEventPayload()
+  const pullRequest = payload.pull_request
+
+  const info = {
+    branch: pullRequest
+      ? pullRequest.head.ref
+      : getBranchFromRef(GITHUB_REF),
+    sha: pullRequest ? pullRequest.head.sha : GITHUB_SHA,
+    remote: `${GITHUB_SERVER_URL ||
+      'https://github.com'}/${GITHUB_REPOSITORY}.git`
+  }
+  if (pullRequest) {
+    info.pullRequestId = pullRequest.number
+    info.pullRequestUrl = pullRequest.html_url
+    info.author = pullRequest.user && pullRequest.user.login
+  }
+
+  // push events have the head commit, other events need the API
+  const headCommit = payload.head_commit
+  if (headCommit && headCommit.id === info.sha) {
+    info.message = headCommit.message
+    info.author = headCommit.author && headCommit.author.name
+    info.email = headCommit.author && headCommit.author.email
+  } else if (GITHUB_TOKEN && info.sha) {
+    try {
+      const details = await getCommitDetails(info.sha)
+      info.message = details.message
+      info.author = details.author || info.author
+      info.email = details.email
+    } catch (e) {
+      console.warn(
+        'Could not get commit %s details: %s',
+        info.sha,
+        e.message
+      )
+    }
+  }
+
+  if (!info.branch && GITHUB_TOKEN) {
+    try {
+      info.branch = await getWorkflowRunBranch()
+    } catch (e) {
+      console.warn('Could not get the branch name: %s', e.message)
+    }
+  }
+
+  return info
+}
+
+/**
+ * Resolves with the commit info once per run. Never rejects: the commit
+ * info is nice to have, without it falls back to GITHUB_REF and GITHUB_SHA.
+ */
+const getCommitInfo = async () => {
+  if (commitInfo) {
+    return commitInfo
+  }
+  try {
+    commitInfo = await findCommitInfo()
+  } catch (e) {
+    console.warn('Could not find the commit info: %s', e.message)
+    commitInfo = {
+      branch: getBranchFromRef(process.env.GITHUB_REF),
+      sha: process.env.GITHUB_SHA
+    }
+  }
+  core.debug(`commit info ${JSON.stringify(commitInfo)}`)
+  return commitInfo
+}
+
+/**
+ * Exports the commit info for Cypress to send with the recording,
+ * keeping the values the user has already set.
+ * @see https://on.cypress.io/continuous-integration#Git-information
+ */
+const exportCommitInfo = async () => {
+  const info = await getCommitInfo()
+  const variables = {
+    COMMIT_INFO_BRANCH: info.branch,
+    COMMIT_INFO_SHA: info.sha,
+    COMMIT_INFO_MESSAGE: info.message,
+    COMMIT_INFO_AUTHOR: info.author,
+    COMMIT_INFO_EMAIL: info.email,
+    COMMIT_INFO_REMOTE: info.remote,
+    CYPRESS_PULL_REQUEST_ID: info.pullRequestId,
+    CYPRESS_PULL_REQUEST_URL: info.pullRequestUrl
+  }
+  Object.keys(variables).forEach(name => {
+    if (process.env[name]) {
+      core.debug(`keeping ${name} set by the user`)
+    } else if (variables[name]) {
+      core.exportVariable(name, String(variables[name]))
+    }
+  })
+  if (process.env.COMMIT_INFO_BRANCH) {
+    console.log(
+      'Recording commit %s on branch %s',
+      process.env.COMMIT_INFO_SHA,
+      process.env.COMMIT_INFO_BRANCH
+    )
+  } else {
+    console.log('Recording commit %s', process.env.COMMIT_INFO_SHA)
+  }
+}
+
+/**
+ * Forms the build id linking the parallel jobs of the workflow run.
+ * Every attempt to re-run the workflow gets its own build id,
+ * otherwise the Dashboard thinks the run has already ended.
+ */
+const getCiBuildId = async () => {
+  const {
+    GITHUB_WORKFLOW,
+    GITHUB_SHA,
+    GITHUB_TOKEN,
+    GITHUB_RUN_ID,
+    GITHUB_RUN_ATTEMPT,
+    GITHUB_REPOSITORY
+  } = process.env
+
+  const [owner, repo] = GITHUB_REPOSITORY.split('/')
+  const { branch } = await getCommitInfo()
+  let parallelId = `${GITHUB_WORKFLOW} - ${GITHUB_SHA}`
+
+  if (GITHUB_RUN_ATTEMPT) {
+    parallelId = `${GITHUB_RUN_ID}-${GITHUB_RUN_ATTEMPT}`
+  } else if (GITHUB_TOKEN) {
+    core.debug(
+      `Determining build id by asking GitHub about run ${GITHUB_RUN_ID}`
+    )
+
+    const client = getOctokit()
+
+    // This will return the complete list of jobs for a run with their steps,
+    // this should always return data when there are jobs on the workflow.
+    // Every time the workflow is re-run the jobs length should stay the same
+    // (because the same amount of jobs were ran) but the id of them should change
+    // letting us, select the first id as unique id
+    // https://docs.github.com/en/rest/reference/actions#list-jobs-for-a-workflow-run
+    const runsList = await client.request(
+      'GET /repos/:owner/:repo/actions/runs/:run_id/jobs',
+      {
+        owner,
+        repo,
+        run_id: parseInt(GITHUB_RUN_ID)
+      }
+    )
+
+    if (
+      runsList &&
+      runsList.data &&
+      runsList.data.jobs &&
+      runsList.data.jobs.length
+    ) {
+      const jobId = runsList.data.jobs[0].id
+      core.debug(`fetched run list with jobId ${jobId}`)
+      parallelId = `${GITHUB_RUN_ID}-${jobId}`
+    } else {
+      core.debug('could not get run list data')
+    }
+  }
+
+  core.debug(
+    `determined branch ${branch} and parallel id ${parallelId}`
+  )
+  return { branch, parallelId }
+}
+
+module.exports = {
+  getOctokit,
+  getEventPayload,
+  getBranchFromRef,
+  getCommitInfo,
+  resetCommitInfo,
+  exportCommitInfo,
+  getCiBuildId
+}
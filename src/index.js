@@ -0,0 +1,115 @@
+// @ts-check
+const { setInputs, getInputBool } = require('./inputs')
+const { setStartWorkingDirectory } = require('./paths')
+const { validateInputs } = require('./validate')
+const { buildAppMaybe } = require('./install')
+const {
+  startServersMaybe,
+  waitOnMaybe,
+  assertServersRunning,
+  stopServers
+} = require('./servers')
+const {
+  getProjects,
+  setProject,
+  installProjectsMaybe,
+  runProjects
+} = require('./projects')
+const {
+  checkBrowsersMaybe,
+  resetBrowserChecks
+} = require('./browsers')
+const { printPlan } = require('./plan')
+const {
+  runPhase,
+  withGlobalTimeout,
+  resetOutput
+} = require('./timeouts')
+const { restoreRecordApiUrl } = require('./record-api')
+const { resetCommitInfo } = require('./github')
+const { resetSpecTimings } = require('./specs')
+
+/**
+ * Stops the servers and restores the patched Cypress binaries
+ */
+const cleanUp = () => stopServers().then(restoreRecordApiUrl)
+
+/**
+ * Installs the dependencies, checks the browsers, builds the app,
+ * starts the servers, waits for them and runs Cypress tests,
+ * like the GitHub Action does. Each phase can have its own timeout.
+ * The servers are stopped and the patched Cypress binaries restored
+ * even if the tests fail.
+ */
+const runAll = () =>
+  withGlobalTimeout(() =>
+    runPhase('install', () =>
+      installProjectsMaybe().then(checkBrowsersMaybe)
+    )
+      .then(() => runPhase('build', buildAppMaybe))
+      .then(() => runPhase('start', startServersMaybe))
+      .then(() => runPhase('wait', waitOnMaybe))
+      .then(assertServersRunning)
+      .then(() => runPhase('test', runProjects))
+  ).then(cleanUp, error =>
+    cleanUp().then(() => Promise.reject(error))
+  )
+
+/**
+ * Forgets what the previous "run" call in the same process has found,
+ * like the commit info, the spec timings and the browser checks.
+ * "cleanUp" stops the servers and restores the patched binaries.
+ */
+const resetState = () => {
+  resetCommitInfo()
+  resetSpecTimings()
+  resetBrowserChecks()
+  resetOutput()
+}
+
+/**
+ * Runs all the steps using the given options instead of
+ * the GitHub Action inputs, see "setInputs" for the option names.
+ * Without options, reads the GitHub Action inputs. The relative paths
+ * are resolved from the current folder at the time of the call.
+ * Resolves when done, rejects if anything fails.
+ * @example
+ *  const { run } = require('@cypress/github-action')
+ *  await run({ workingDirectory: 'app', start: 'npm start', waitOn: 'http://localhost:3000' })
+ */
+const run = options => {
+  setInputs(options)
+  resetState()
+  setStartWorkingDirectory()
+  return Promise.resolve()
+    .then(validateInputs)
+    .then(() => setProject(getProjects()[0]))
+    .then(() => (getInputBool('dry-run') ? printPlan() : runAll()))
+}
+
+module.exports = {
+  run,
+  runAll,
+  ...require('./inputs'),
+  ...require('./paths'),
+  ...require('./utils'),
+  ...require('./wait-on'),
+  ...require('./env-config'),
+  ...require('./package-manager'),
+  ...require('./cache'),
+  ...require('./install'),
+  ...require('./servers'),
+  ...require('./github'),
+  ...require('./results'),
+  ...require('./summary'),
+  ...require('./annotations'),
+  ...require('./specs'),
+  ...require('./run'),
+  ...require('./browsers'),
+  ...require('./projects'),
+  ...require('./validate'),
+  ...require('./plan'),
+  ...require('./timeouts'),
+  ...require('./record-api'),
+  ...require('./binary')
+}
@@ -0,0 +1,109 @@
+// @ts-check
+const core = require('@actions/core')
+
+// defaults of the action parameters, see "action.yml"
+const INPUT_DEFAULTS = {
+  record: 'false',
+  'config-file': 'cypress.json',
+  'publish-summary': 'true',
+  annotate: 'true',
+  'max-annotations': '10',
+  'comment-on-pr': 'false',
+  'retry-failed-specs': '0',
+  'fail-on-flaky': 'false',
+  'dry-run': 'false',
+  strict: 'false',
+  'skip-missing-browsers': 'false',
+  'package-runner': 'auto'
+}
+
+// explicit options, when used as a library instead of the GitHub Action
+let options
+
+const toCamelCase = name =>
+  name.replace(/-(\w)/g, (match, letter) => letter.toUpperCase())
+
+const toInputValue = value => {
+  if (value === undefined || value === null) {
+    return ''
+  }
+  if (Array.isArray(value)) {
+    return value.join(',')
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value)
+  }
+  return String(value).trim()
+}
+
+/**
+ * Uses the given options object instead of the GitHub Action inputs.
+ * The options use the parameter names from "action.yml", either
+ * as is like "wait-on" or in camel case like "waitOn".
+ * Pass undefined to go back to the GitHub Action inputs.
+ */
+const setInputs = explicitOptions => {
+  options = explicitOptions
+}
+
+/**
+ * Returns the parameter as a string, like "core.getInput" does
+ */
+const getInput = name => {
+  if (!options) {
+    return core.getInput(name)
+  }
+  const value =
+    name in options ? options[name] : options[toCamelCase(name)]
+  const input = toInputValue(value)
+  return input || INPUT_DEFAULTS[name] || ''
+}
+
+// list parameters are separated by commas or new lines
+const getInputList = name =>
+  getInput(name)
+    .split(/[\n,]/)
+    .map(s => s.trim())
+    .filter(Boolean)
+
+/**
+ * Grabs a boolean GitHub Action parameter input and casts it.
+ * @param {string} name - parameter name
+ * @param {boolean} defaultValue - default value to use if the parameter was not specified
+ * @returns {boolean} converted input argument or default value
+ */
+const getInputBool = (name, defaultValue = false) => {
+  const param = getInput(name)
+  if (param === 'true' || param === '1') {
+    return true
+  }
+  if (param === 'false' || param === '0') {
+    return false
+  }
+
+  return defaultValue
+}
+
+/**
+ * Converts the pattern parameter to a regular expression,
+ * either "pattern" or "/pattern/flags" form.
+ */
+const getInputRegExp = name => {
+  const input = getInput(name)
+  if (!input) {
+    return
+  }
+  const literal = input.match(/^\/(.+)\/([a-z]*)$/)
+  return literal
+    ? new RegExp(literal[1], literal[2])
+    : new RegExp(input)
+}
+
+module.exports = {
+  INPUT_DEFAULTS,
+  setInputs,
+  getInput,
+  getInputList,
+  getInputBool,
+  getInputRegExp
+}
@@ -0,0 +1,253 @@
+// @ts-check
+const core = require('@actions/core')
+const exec = require('@actions/exec')
+const io = require('@actions/io')
+const quote = require('quote')
+const { getInputBool, getInput } = require('./inputs')
+const { paths } = require('./paths')
+const { execCommand } = require('./utils')
+const {
+  useYarn,
+  useYarnBerry,
+  usePnpm,
+  findPnpFilename,
+  getPackageManagerName
+} = require('./package-manager')
+const {
+  CYPRESS_CACHE_FOLDER,
+  PNPM_STORE_FOLDER,
+  NPM_CACHE_FOLDER,
+  restoreCachedNpm,
+  restoreCachedCypressBinary,
+  saveCachedNpm,
+  saveCachedCypressBinary
+} = require('./cache')
+const {
+  prepareCypressBinary,
+  explainBinaryError
+} = require('./binary')
+const {
+  patchRecordApiUrlMaybe,
+  withOriginalRecordApiUrl
+} = require('./record-api')
+
+const install = () => {
+  // prevent lots of progress messages during install
+  core.exportVariable('CI', '1')
+  core.debug(
+    `using custom Cypress cache folder "${CYPRESS_CACHE_FOLDER}"`
+  )
+  core.exportVariable('CYPRESS_CACHE_FOLDER', CYPRESS_CACHE_FOLDER)
+
+  // Note: need to quote found tool to avoid Windows choking on
+  // npm paths with spaces like "C:\Program Files\nodejs\npm.cmd ci"
+
+  if (useYarn()) {
+    core.debug('installing NPM dependencies using Yarn')
+    // Yarn 2+ has replaced "--frozen-lockfile" with "--immutable"
+    const yarnArguments = useYarnBerry()
+      ? ['install', '--immutable']
+      : ['--frozen-lockfile']
+    return io.which('yarn', true).then(yarnPath => {
+      core.debug(`yarn at "${yarnPath}"`)
+      return exec.exec(
+        quote(yarnPath),
+        yarnArguments,
+        paths.cypressCommandOptions
+      )
+    })
+  } else if (usePnpm()) {
+    core.debug('installing NPM dependencies using pnpm')
+    return io.which('pnpm', true).then(pnpmPath => {
+      core.debug(`pnpm at "${pnpmPath}"`)
+      return exec.exec(
+        quote(pnpmPath),
+        [
+          'install',
+          '--frozen-lockfile',
+          '--store-dir',
+          PNPM_STORE_FOLDER
+        ],
+        paths.cypressCommandOptions
+      )
+    })
+  } else {
+    core.debug('installing NPM dependencies')
+    core.exportVariable('npm_config_cache', NPM_CACHE_FOLDER)
+
+    return io.which('npm', true).then(npmPath => {
+      core.debug(`npm at "${npmPath}"`)
+      return exec.exec(
+        quote(npmPath),
+        ['ci'],
+        paths.cypressCommandOptions
+      )
+    })
+  }
+}
+
+const getYarnRunner = () =>
+  io.which('yarn', true).then(yarnPath => ({
+    name: 'yarn',
+    toolPath: yarnPath,
+    args: []
+  }))
+
+const getPnpmRunner = () =>
+  io.which('pnpm', true).then(pnpmPath => ({
+    name: 'pnpm exec',
+    toolPath: pnpmPath,
+    args: ['exec']
+  }))
+
+const getNpxRunner = () =>
+  io.which('npx', true).then(npxPath => ({
+    name: 'npx',
+    toolPath: npxPath,
+    args: []
+  }))
+
+/**
+ * Finds the tool to run binaries installed in the local "node_modules".
+ * By default it is "npx", unless the project needs its package manager:
+ * "yarn" in Yarn Plug'n'Play projects without any "node_modules",
+ * and "yarn" or "pnpm exec" when there is no "npx".
+ * The "package-runner" parameter picks the tool explicitly,
+ * "package-manager" picks the tool matching the detected package manager.
+ */
+const getPackageRunner = () => {
+  const packageRunner = getInput('package-runner') || 'auto'
+  if (packageRunner === 'yarn') {
+    return getYarnRunner()
+  }
+  if (packageRunner === 'pnpm') {
+    return getPnpmRunner()
+  }
+  if (packageRunner === 'npx') {
+    return getNpxRunner()
+  }
+  if (packageRunner === 'package-manager') {
+    const packageManager = getPackageManagerName()
+    core.debug(`running Cypress using ${packageManager}`)
+    if (
+      packageManager === 'yarn' ||
+      packageManager === 'yarn-berry'
+    ) {
+      return getYarnRunner()
+    }
+    return packageManager === 'pnpm'
+      ? getPnpmRunner()
+      : getNpxRunner()
+  }
+
+  if (useYarn() && findPnpFilename()) {
+    core.debug("Yarn Plug'n'Play project, running Cypress with yarn")
+    return getYarnRunner()
+  }
+  return io.which('npx', false).then(npxPath => {
+    if (npxPath) {
+      return getNpxRunner()
+    }
+    if (useYarn()) {
+      return getYarnRunner()
+    }
+    if (usePnpm()) {
+      return getPnpmRunner()
+    }
+    return getNpxRunner()
+  })
+}
+
+const listCypressBinaries = () => {
+  core.debug(
+    `Cypress versions in the cache folder ${CYPRESS_CACHE_FOLDER}`
+  )
+  core.exportVariable('CYPRESS_CACHE_FOLDER', CYPRESS_CACHE_FOLDER)
+  return getPackageRunner().then(runner => {
+    return exec.exec(
+      quote(runner.toolPath),
+      runner.args.concat(['cypress', 'cache', 'list']),
+      paths.cypressCommandOptions
+    )
+  })
+}
+
+const verifyCypressBinary = () => {
+  core.debug(
+    `Verifying Cypress using cache folder ${CYPRESS_CACHE_FOLDER}`
+  )
+  core.exportVariable('CYPRESS_CACHE_FOLDER', CYPRESS_CACHE_FOLDER)
+  return getPackageRunner().then(runner => {
+    return exec.exec(
+      quote(runner.toolPath),
+      runner.args.concat(['cypress', 'verify']),
+      paths.cypressCommandOptions
+    )
+  })
+}
+
+/**
+ * Installs the dependencies and the Cypress binary using the caches.
+ * @param {(string|undefined)[]} [keepVersions] the Cypress versions
+ * needed by all projects, the others are removed from the saved cache
+ */
+const installMaybe = keepVersions => {
+  const installParameter = getInputBool('install', true)
+  if (!installParameter) {
+    console.log('Skipping install because install parameter is false')
+    return Promise.resolve().then(patchRecordApiUrlMaybe)
+  }
+
+  return Promise.all([
+    restoreCachedNpm(),
+    restoreCachedCypressBinary()
+  ]).then(([npmCacheHit, cypressCacheHit]) => {
+    core.debug(`npm cache hit ${npmCacheHit}`)
+    core.debug(`cypress cache hit ${cypressCacheHit}`)
+
+    return prepareCypressBinary()
+      .then(install)
+      .then(() => {
+        return listCypressBinaries().then(() => {
+          patchRecordApiUrlMaybe()
+
+          if (npmCacheHit && cypressCacheHit) {
+            core.debug(
+              'no need to verify Cypress binary or save caches'
+            )
+            return Promise.resolve(undefined)
+          }
+
+          // the shared cache keeps the original Cypress binary
+          return verifyCypressBinary()
+            .catch(error => Promise.reject(explainBinaryError(error)))
+            .then(saveCachedNpm)
+            .then(() =>
+              withOriginalRecordApiUrl(() =>
+                saveCachedCypressBinary(keepVersions)
+              )
+            )
+        })
+      })
+  })
+}
+
+const buildAppMaybe = () => {
+  const buildApp = getInput('build')
+  if (!buildApp) {
+    return
+  }
+
+  core.debug(`building application using "${buildApp}"`)
+
+  return execCommand(buildApp, true, 'build app')
+}
+
+module.exports = {
+  install,
+  getPackageRunner,
+  listCypressBinaries,
+  verifyCypressBinary,
+  installMaybe,
+  buildAppMaybe
+}
@@ -0,0 +1,145 @@
+// @ts-check
+const hasha = require('hasha')
+const fs = require('fs')
+const path = require('path')
+const { paths } = require('./paths')
+const { homeDirectory } = require('./utils')
+
+const useYarn = () => fs.existsSync(paths.yarnFilename)
+
+const usePnpm = () => !useYarn() && fs.existsSync(paths.pnpmFilename)
+
+/**
+ * Reads the top level "key: value" settings from the Yarn 2+
+ * ".yarnrc.yml" file, returns undefined if there is no such file.
+ */
+const readYarnrc = () => {
+  const yarnrcFilename = path.join(paths.yarnRoot, '.yarnrc.yml')
+  if (!fs.existsSync(yarnrcFilename)) {
+    return
+  }
+  const settings = {}
+  fs.readFileSync(yarnrcFilename, 'utf8')
+    .split(/\r?\n/)
+    .forEach(line => {
+      const match = line.match(/^(\w+):\s*(.+?)\s*$/)
+      if (match) {
+        settings[match[1]] = match[2].replace(/^(['"])(.*)\1$/, '$2')
+      }
+    })
+  return settings
+}
+
+/**
+ * Returns the major version of Yarn used by the project, either
+ * from the "packageManager" property in "package.json"
+ * or from the Yarn 2+ release set in ".yarnrc.yml".
+ */
+const getYarnMajorVersion = () => {
+  const packageFilename = path.join(paths.yarnRoot, 'package.json')
+  if (fs.existsSync(packageFilename)) {
+    const { packageManager } = JSON.parse(
+      fs.readFileSync(packageFilename, 'utf8')
+    )
+    const match =
+      packageManager && String(packageManager).match(/^yarn@(\d+)\./)
+    if (match) {
+      return parseInt(match[1])
+    }
+  }
+
+  const yarnrc = readYarnrc()
+  if (!yarnrc) {
+    return 1
+  }
+  const match =
+    yarnrc.yarnPath && yarnrc.yarnPath.match(/yarn-(\d+)\.[^/\\]*$/)
+  return match ? parseInt(match[1]) : 2
+}
+
+const useYarnBerry = () => useYarn() && getYarnMajorVersion() >= 2
+
+/**
+ * Finds the Yarn 2+ cache folder: the "cacheFolder" setting, the global
+ * cache if enabled (default in Yarn 4) or ".yarn/cache" in the project.
+ * @see https://yarnpkg.com/configuration/yarnrc#cacheFolder
+ */
+const getYarnBerryCacheFolder = () => {
+  const yarnrc = readYarnrc() || {}
+  const cacheFolder =
+    process.env.YARN_CACHE_FOLDER || yarnrc.cacheFolder
+  if (cacheFolder) {
+    return path.resolve(paths.yarnRoot, cacheFolder)
+  }
+
+  const enableGlobalCache = yarnrc.enableGlobalCache
+    ? yarnrc.enableGlobalCache === 'true'
+    : getYarnMajorVersion() >= 4
+  if (enableGlobalCache) {
+    const globalFolder = yarnrc.globalFolder
+      ? path.resolve(paths.yarnRoot, yarnrc.globalFolder)
+      : path.join(homeDirectory, '.yarn', 'berry')
+    return path.join(globalFolder, 'cache')
+  }
+
+  return path.join(paths.yarnRoot, '.yarn', 'cache')
+}
+
+/**
+ * Returns the Yarn Plug'n'Play loader file if the project uses PnP
+ * instead of "node_modules", should be called after install.
+ */
+const findPnpFilename = () =>
+  ['.pnp.cjs', '.pnp.js']
+    .map(filename => path.join(paths.yarnRoot, filename))
+    .find(filename => fs.existsSync(filename))
+
+const getLockFilename = () => {
+  if (useYarn()) {
+    return paths.yarnFilename
+  }
+  if (usePnpm()) {
+    return paths.pnpmFilename
+  }
+  return paths.packageLockFilename
+}
+
+/**
+ * The folder to install the dependencies in: the Yarn or pnpm
+ * workspace root for workspace projects, the working directory otherwise.
+ */
+const getInstallFolder = () => {
+  if (useYarn()) {
+    return paths.yarnRoot
+  }
+  if (usePnpm()) {
+    return path.dirname(paths.pnpmFilename)
+  }
+  return paths.workingDirectory
+}
+
+const lockHash = () => hasha.fromFileSync(getLockFilename())
+
+const getPackageManagerName = () => {
+  if (useYarnBerry()) {
+    return 'yarn-berry'
+  }
+  if (useYarn()) {
+    return 'yarn'
+  }
+  return usePnpm() ? 'pnpm' : 'npm'
+}
+
+module.exports = {
+  useYarn,
+  usePnpm,
+  readYarnrc,
+  getYarnMajorVersion,
+  useYarnBerry,
+  getYarnBerryCacheFolder,
+  findPnpFilename,
+  getLockFilename,
+  getInstallFolder,
+  lockHash,
+  getPackageManagerName
+}
@@ -0,0 +1,132 @@
+// @ts-check
+const core = require('@actions/core')
+const findYarnWorkspaceRoot = require('find-yarn-workspace-root')
+const fs = require('fs')
+const path = require('path')
+
+// the folder the relative paths are resolved from: the current folder
+// when "run" or the first "setWorkingDirectory" is called
+let startWorkingDirectory
+
+const getStartWorkingDirectory = () => {
+  if (!startWorkingDirectory) {
+    startWorkingDirectory = process.cwd()
+  }
+  return startWorkingDirectory
+}
+
+/**
+ * Finds the pnpm workspace root by looking for "pnpm-workspace.yaml"
+ * in the given folder and its parent folders.
+ */
+const findPnpmWorkspaceRoot = folder => {
+  let current = folder
+  while (true) {
+    if (fs.existsSync(path.join(current, 'pnpm-workspace.yaml'))) {
+      return current
+    }
+    const parent = path.dirname(current)
+    if (parent === current) {
+      return
+    }
+    current = parent
+  }
+}
+
+// the folders set by "setWorkingDirectory"
+let resolved
+
+// the start folder until "setWorkingDirectory" is called
+const getResolved = () => {
+  if (!resolved) {
+    setWorkingDirectory()
+  }
+  return resolved
+}
+
+/**
+ * The project folder and its lock files, see "setWorkingDirectory".
+ * Resolved on the first use, not when the module loads.
+ */
+const paths = {
+  get startWorkingDirectory() {
+    return getStartWorkingDirectory()
+  },
+  get workingDirectory() {
+    return getResolved().workingDirectory
+  },
+  /**
+   * When running "npm install" or any other Cypress-related commands,
+   * use the install directory as current working directory
+   */
+  get cypressCommandOptions() {
+    return getResolved().cypressCommandOptions
+  },
+  // the Cypress project folder relative to the working directory
+  get project() {
+    return getResolved().project
+  },
+  get yarnRoot() {
+    return getResolved().yarnRoot
+  },
+  get yarnFilename() {
+    return getResolved().yarnFilename
+  },
+  get packageLockFilename() {
+    return getResolved().packageLockFilename
+  },
+  get pnpmFilename() {
+    return getResolved().pnpmFilename
+  }
+}
+
+/**
+ * Sets the folder to install and run Cypress in, relative
+ * to the folder the process has started in, and the Cypress
+ * project folder relative to it.
+ */
+const setWorkingDirectory = (folder, project = '') => {
+  // seems the working directory should be absolute to work correctly
+  // https://github.com/cypress-io/github-action/issues/211
+  const workingDirectory = folder
+    ? path.resolve(getStartWorkingDirectory(), folder)
+    : getStartWorkingDirectory()
+  core.debug(`working directory ${workingDirectory}`)
+
+  const yarnRoot =
+    findYarnWorkspaceRoot(workingDirectory) || workingDirectory
+  resolved = {
+    workingDirectory,
+    cypressCommandOptions: {
+      cwd: workingDirectory
+    },
+    project,
+    yarnRoot,
+    yarnFilename: path.join(yarnRoot, 'yarn.lock'),
+    packageLockFilename: path.join(
+      workingDirectory,
+      'package-lock.json'
+    ),
+    pnpmFilename: path.join(
+      findPnpmWorkspaceRoot(workingDirectory) || workingDirectory,
+      'pnpm-lock.yaml'
+    )
+  }
+}
+
+/**
+ * Resolves the relative paths from the given folder from now on,
+ * the current folder by default, and makes it the working directory.
+ */
+const setStartWorkingDirectory = (folder = process.cwd()) => {
+  startWorkingDirectory = path.resolve(folder)
+  setWorkingDirectory()
+}
+
+module.exports = {
+  getStartWorkingDirectory,
+  setStartWorkingDirectory,
+  findPnpmWorkspaceRoot,
+  paths,
+  setWorkingDirectory
+}
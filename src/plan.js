@@ -0,0 +1,114 @@
+// @ts-check
+const core = require('@actions/core')
+const {
+  getInputBool,
+  getInput,
+  getInputList,
+  getInputRegExp
+} = require('./inputs')
+const { paths } = require('./paths')
+const { parseWaitOnResources } = require('./wait-on')
+const { getPackageManagerName } = require('./package-manager')
+const { getNpmCache, getCypressBinaryCache } = require('./cache')
+const { getPackageRunner } = require('./install')
+const { getStartCommands } = require('./servers')
+const { getProjects } = require('./projects')
+const { PHASES } = require('./timeouts')
+const { getRecordApiUrl } = require('./record-api')
+const { getCachedCypressVersions } = require('./binary')
+const { buildCypressOptions, toCypressCommandLine } = require('./run')
+
+// the values the real run gets from the spec timings cache or GitHub
+const RESOLVED_AT_RUN_TIME = 'would be resolved at run time'
+
+/**
+ * Builds the Cypress options without resolving the shard specs
+ * or the build id, the plan reports them as resolved at run time.
+ */
+const getPlannedCypressOptions = () => {
+  const shardSpecs = getInput('shard-total')
+    ? [RESOLVED_AT_RUN_TIME]
+    : undefined
+  const ciBuildId = getInput('ci-build-id') || RESOLVED_AT_RUN_TIME
+  return buildCypressOptions({ shardSpecs, ciBuildId })
+}
+
+/**
+ * Resolves what the action would do with the current parameters,
+ * without installing, building, starting or running anything.
+ * Makes no network calls, cache restores or variable exports.
+ */
+const getPlan = async () => {
+  const plan = {
+    workingDirectory: paths.workingDirectory,
+    packageManager: getPackageManagerName(),
+    install: getInputBool('install', true)
+  }
+  try {
+    plan.npmCache = getNpmCache()
+    plan.cypressBinaryCache = getCypressBinaryCache()
+  } catch (e) {
+    plan.cacheError = e.message
+  }
+
+  plan.cachedCypressBinaries = getCachedCypressVersions()
+  plan.installBinary = getInput('install-binary') || null
+  plan.downloadMirror = getInput('download-mirror') || null
+  plan.recordApiUrl = getRecordApiUrl() || null
+  plan.projects = getProjects().map(project => project.name)
+  plan.browsers = getInputList('browser')
+  plan.build = getInput('build') || null
+  plan.start = getStartCommands()
+  const readyPattern = getInputRegExp('start-ready-pattern')
+  plan.startReadyPattern = readyPattern ? String(readyPattern) : null
+  const waitOn = getInput('wait-on')
+  plan.waitOn = waitOn
+    ? parseWaitOnResources(
+        waitOn,
+        getInput('wait-on-timeout') || '60'
+      )
+    : []
+
+  // timeouts in minutes
+  plan.timeouts = {}
+  ;['timeout', 'no-output-timeout']
+    .concat(PHASES.map(phase => `${phase}-timeout`))
+    .filter(name => getInput(name))
+    .forEach(name => {
+      plan.timeouts[name] = parseFloat(getInput(name))
+    })
+
+  plan.runTests = getInputBool('runTests', true)
+  if (!plan.runTests) {
+    return plan
+  }
+
+  if (getInput('command')) {
+    plan.mode = 'custom command'
+    plan.command = getInput('command')
+  } else if (getInput('command-prefix')) {
+    plan.mode = 'command line'
+    const cmd = toCypressCommandLine(getPlannedCypressOptions())
+    const runner = await getPackageRunner()
+    plan.commandLine = [runner.toolPath].concat(runner.args, cmd)
+  } else {
+    plan.mode = 'module API'
+    plan.cypressOptions = getPlannedCypressOptions()
+  }
+  return plan
+}
+
+/**
+ * Dry run: prints the resolved plan and sets it as the "plan" output
+ */
+const printPlan = async () => {
+  const plan = await getPlan()
+  console.log('Dry run, the action would run with this plan')
+  console.log(JSON.stringify(plan, null, 2))
+  core.setOutput('plan', JSON.stringify(plan))
+}
+
+module.exports = {
+  getPlan,
+  printPlan
+}
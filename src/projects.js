@@ -0,0 +1,272 @@
+// @ts-check
+const core = require('@actions/core')
+const path = require('path')
+const { getInputBool, getInputList } = require('./inputs')
+const { paths, setWorkingDirectory } = require('./paths')
+const { getInstallFolder } = require('./package-manager')
+const { getCypressVersion } = require('./cache')
+const { installMaybe } = require('./install')
+const { getBrowserChecks } = require('./browsers')
+const { getRunLabel } = require('./results')
+const {
+  exportTestVariables,
+  runCypress,
+  reportTestResults,
+  runTests
+} = require('./run')
+
+/**
+ * Returns the Cypress projects to run from the "working-directory"
+ * and "project" parameters, either of them can be a list.
+ * The project name is its folder relative to the start folder.
+ */
+const getProjects = () => {
+  const workingDirectories = getInputList('working-directory')
+  const projectFolders = getInputList('project')
+  if (workingDirectories.length > 1 && projectFolders.length > 1) {
+    throw new Error(
+      'Use a list in working-directory or in project, not in both'
+    )
+  }
+
+  const projects = []
+  ;(workingDirectories.length ? workingDirectories : ['']).forEach(
+    workingDirectory => {
+      ;(projectFolders.length ? projectFolders : ['']).forEach(
+        project => {
+          const name =
+            path
+              .relative(
+                paths.startWorkingDirectory,
+                path.resolve(
+                  paths.startWorkingDirectory,
+                  workingDirectory,
+                  project
+                )
+              )
+              .split(path.sep)
+              .join('/') || '.'
+          projects.push({ name, workingDirectory, project })
+        }
+      )
+    }
+  )
+  return projects
+}
+
+const setProject = project =>
+  setWorkingDirectory(project.workingDirectory, project.project)
+
+/**
+ * Installs the dependencies once for all projects in the same
+ * Yarn or pnpm workspace, and once per folder otherwise.
+ * Leaves the first project as the current one.
+ */
+const installProjectsMaybe = async () => {
+  const projects = getProjects()
+  if (projects.length > 1) {
+    const installFolders = []
+    projects.forEach(project => {
+      setProject(project)
+      const folder = getInstallFolder()
+      if (!installFolders.includes(folder)) {
+        installFolders.push(folder)
+      }
+    })
+    // the shared binary cache folder keeps the binaries of all projects
+    const cypressVersions = installFolders.map(folder => {
+      setWorkingDirectory(folder)
+      return getCypressVersion()
+    })
+    for (const folder of installFolders) {
+      console.log('installing dependencies in %s', folder)
+      setWorkingDirectory(folder)
+      await installMaybe(cypressVersions)
+    }
+  } else {
+    setProject(projects[0])
+    await installMaybe()
+  }
+  setProject(projects[0])
+}
+
+const TOTALS = [
+  'totalTests',
+  'totalPassed',
+  'totalFailed',
+  'totalPending',
+  'totalSkipped',
+  'totalDuration'
+]
+
+/**
+ * Combines the test results of several projects and browsers into
+ * the results of a single run. The spec paths get the project folder
+ * prefix, the runs get the browser name, and "projects" property
+ * lists the totals and the failed specs of every project and browser.
+ */
+const combineProjectResults = projectResults => {
+  const combined = { runs: [], flakySpecs: [], projects: [] }
+  TOTALS.forEach(name => {
+    combined[name] = 0
+  })
+
+  projectResults.forEach(projectResult => {
+    const { project, browser, testResults, error } = projectResult
+    const summary = { name: project.name }
+    if (browser) {
+      summary.browser = browser
+    }
+    combined.projects.push(summary)
+    if (error || !testResults || testResults.failures) {
+      summary.status = error || testResults ? 'errored' : 'skipped'
+      summary.message = error
+        ? error.message
+        : testResults
+        ? testResults.message || 'Error running Cypress'
+        : projectResult.message || 'no specs to run'
+      return
+    }
+
+    summary.status = testResults.totalFailed ? 'failed' : 'passed'
+    TOTALS.forEach(name => {
+      summary[name] = testResults[name] || 0
+      combined[name] += summary[name]
+    })
+    summary.runUrl = testResults.runUrl
+
+    const withPrefix = spec => path.posix.join(project.name, spec)
+    const runs = (testResults.runs || []).map(run => ({
+      ...run,
+      browser,
+      spec: { ...run.spec, relative: withPrefix(run.spec.relative) }
+    }))
+    combined.runs = combined.runs.concat(runs)
+    summary.failedSpecs = runs
+      .filter(run => run.stats.failures)
+      .map(run => run.spec.relative)
+    ;(testResults.flakySpecs || []).forEach(spec => {
+      combined.flakySpecs.push(withPrefix(spec))
+    })
+
+    if (!combined.cypressVersion) {
+      combined.startedTestsAt = testResults.startedTestsAt
+      combined.cypressVersion = testResults.cypressVersion
+      // the browser is only the same for all the runs without a list
+      if (!browser) {
+        combined.browserName = testResults.browserName
+        combined.browserVersion = testResults.browserVersion
+      }
+    }
+    combined.endedTestsAt = testResults.endedTestsAt
+    combined.runUrl = combined.runUrl || testResults.runUrl
+  })
+
+  return combined
+}
+
+const printProjectResults = projects => {
+  console.log('Cypress projects')
+  projects.forEach(project => {
+    if (project.status === 'passed' || project.status === 'failed') {
+      console.log(
+        '  %s %s: %d tests, %d passed, %d failed',
+        project.status,
+        getRunLabel(project),
+        project.totalTests,
+        project.totalPassed,
+        project.totalFailed
+      )
+    } else {
+      console.log('  %s %s', project.status, getRunLabel(project))
+    }
+  })
+}
+
+/**
+ * Runs the tests of every project in every browser in turn, even if
+ * some of them fail, then reports the combined results.
+ * A single project in a single browser runs like before.
+ */
+const runProjects = async () => {
+  const projects = getProjects()
+  const browserChecks = getBrowserChecks()
+  if (projects.length < 2 && browserChecks.length < 2) {
+    return runTests()
+  }
+
+  if (!getInputBool('runTests', true)) {
+    console.log('Skipping running tests: runTests parameter is false')
+    return
+  }
+
+  exportTestVariables()
+
+  // without a browser list every project runs in the "browser" parameter
+  const browsers = browserChecks.length > 1 ? browserChecks : [{}]
+  const projectResults = []
+  for (const project of projects) {
+    setProject(project)
+    for (const { browser, available } of browsers) {
+      const label = getRunLabel({ name: project.name, browser })
+      if (browser && !available) {
+        console.log('Skipping Cypress project %s', label)
+        projectResults.push({
+          project,
+          browser,
+          message: 'browser not found'
+        })
+        continue
+      }
+
+      console.log('Running Cypress project %s', label)
+      try {
+        projectResults.push({
+          project,
+          browser,
+          testResults: await runCypress(browser ? { browser } : {})
+        })
+      } catch (error) {
+        console.error(error)
+        projectResults.push({ project, browser, error })
+      }
+    }
+  }
+  setProject(projects[0])
+
+  const testResults = combineProjectResults(projectResults)
+  printProjectResults(testResults.projects)
+
+  let testsError
+  await reportTestResults(testResults).catch(e => {
+    testsError = e
+  })
+
+  const erroredProjects = testResults.projects.filter(
+    project => project.status === 'errored'
+  )
+  if (erroredProjects.length) {
+    core.setOutput('status', 'errored')
+    throw new Error(
+      `Cypress could not run ${erroredProjects.length} of ${
+        testResults.projects.length
+      } projects: ${erroredProjects
+        .map(
+          project => `${getRunLabel(project)} (${project.message})`
+        )
+        .join(', ')}`
+    )
+  }
+  if (testsError) {
+    throw testsError
+  }
+}
+
+module.exports = {
+  getProjects,
+  setProject,
+  installProjectsMaybe,
+  combineProjectResults,
+  printProjectResults,
+  runProjects
+}
@@ -0,0 +1,152 @@
+// @ts-check
+const core = require('@actions/core')
+const fs = require('fs')
+const path = require('path')
+const YAML = require('yaml')
+const { getInput } = require('./inputs')
+const { CYPRESS_CACHE_FOLDER } = require('./cache')
+
+// the config file of the Cypress binary with the recording API URL
+const APP_CONFIG_PATHS = [
+  // Linux and Windows
+  'Cypress/resources/app/packages/server/config/app.yml',
+  // Mac
+  'Cypress.app/Contents/Resources/app/packages/server/config/app.yml'
+]
+
+// the original config is kept next to it while the binary is patched
+const BACKUP_SUFFIX = '.original'
+
+// config files patched by this run, to restore them at the end
+const patchedFilenames = []
+
+/**
+ * Returns the recording API URL parameter with the trailing slash
+ * Cypress expects, or undefined if not set.
+ */
+const getRecordApiUrl = () => {
+  const url = getInput('record-api-url')
+  if (!url) {
+    return
+  }
+  return url.endsWith('/') ? url : `${url}/`
+}
+
+/**
+ * Finds the config files of all Cypress binaries in the cache folder
+ */
+const getAppConfigFilenames = () => {
+  if (!fs.existsSync(CYPRESS_CACHE_FOLDER)) {
+    return []
+  }
+  const filenames = []
+  fs.readdirSync(CYPRESS_CACHE_FOLDER)
+    .filter(name => /^\d+\.\d+\.\d+/.test(name))
+    .forEach(version => {
+      APP_CONFIG_PATHS.forEach(configPath => {
+        const filename = path.join(
+          CYPRESS_CACHE_FOLDER,
+          version,
+          configPath
+        )
+        if (fs.existsSync(filename)) {
+          filenames.push(filename)
+        }
+      })
+    })
+  return filenames
+}
+
+/**
+ * Points the Cypress binaries in the cache folder to the recording API
+ * given by the "record-api-url" parameter, like a self-hosted
+ * Dashboard-compatible service. Keeps the original config file
+ * to restore with "restoreRecordApiUrl".
+ */
+const patchRecordApiUrlMaybe = () => {
+  const recordApiUrl = getRecordApiUrl()
+  if (!recordApiUrl) {
+    return
+  }
+
+  const filenames = getAppConfigFilenames()
+  if (!filenames.length) {
+    throw new Error(
+      `Cannot set the record API URL: found no Cypress binary in ${CYPRESS_CACHE_FOLDER}`
+    )
+  }
+  filenames
+    .filter(filename => !patchedFilenames.includes(filename))
+    .forEach(filename => {
+      const backupFilename = filename + BACKUP_SUFFIX
+      // a previous run might have stopped before restoring the original
+      if (!fs.existsSync(backupFilename)) {
+        fs.copyFileSync(filename, backupFilename)
+      }
+      const config = YAML.parseDocument(
+        fs.readFileSync(backupFilename, 'utf8')
+      )
+      if (config.errors.length) {
+        throw new Error(
+          `Cannot parse ${filename}: ${config.errors[0].message}`
+        )
+      }
+      config.setIn(['production', 'api_url'], recordApiUrl)
+      fs.writeFileSync(filename, String(config))
+      patchedFilenames.push(filename)
+      console.log(
+        'Cypress binary %s records to %s',
+        path.relative(CYPRESS_CACHE_FOLDER, filename),
+        recordApiUrl
+      )
+    })
+}
+
+/**
+ * Restores the original config files of the patched Cypress binaries
+ */
+const restoreRecordApiUrl = () => {
+  while (patchedFilenames.length) {
+    const filename = patchedFilenames.pop()
+    const backupFilename = filename + BACKUP_SUFFIX
+    try {
+      fs.copyFileSync(backupFilename, filename)
+      fs.unlinkSync(backupFilename)
+      core.debug(`restored the original ${filename}`)
+    } catch (e) {
+      console.warn('Could not restore %s: %s', filename, e.message)
+    }
+  }
+}
+
+/**
+ * Runs the function with the original Cypress binaries, for example
+ * to save them to the shared cache, and then patches them again.
+ */
+const withOriginalRecordApiUrl = fn => {
+  if (!patchedFilenames.length) {
+    return Promise.resolve().then(fn)
+  }
+  restoreRecordApiUrl()
+  return Promise.resolve()
+    .then(fn)
+    .then(
+      result => {
+        patchRecordApiUrlMaybe()
+        return result
+      },
+      error => {
+        patchRecordApiUrlMaybe()
+        return Promise.reject(error)
+      }
+    )
+}
+
+module.exports = {
+  APP_CONFIG_PATHS,
+  getRecordApiUrl,
+  getAppConfigFilenames,
+  patchRecordApiUrlMaybe,
+  restoreRecordApiUrl,
+  withOriginalRecordApiUrl
+}
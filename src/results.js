@@ -0,0 +1,289 @@
+// @ts-check
+const core = require('@actions/core')
+const fs = require('fs')
+const path = require('path')
+const { getInput } = require('./inputs')
+const { paths } = require('./paths')
+
+/**
+ * Returns the error of a failed test from the Cypress module API results.
+ * Newer Cypress versions keep the structured error in the test attempts,
+ * older versions only have the formatted "displayError" string.
+ * @returns {{message: string, stack: string} | undefined}
+ */
+const getTestError = test => {
+  const attempts = test.attempts || []
+  const lastAttempt = attempts[attempts.length - 1]
+  if (lastAttempt && lastAttempt.error) {
+    const { name, message, stack } = lastAttempt.error
+    return {
+      message: name ? `${name}: ${message}` : message,
+      stack: stack || ''
+    }
+  }
+
+  const displayError = test.displayError || test.error
+  if (displayError) {
+    const [message] = String(displayError).split('\n')
+    return { message, stack: String(displayError) }
+  }
+}
+
+/**
+ * Returns the time spent in a single test, Cypress v5+ reports
+ * the duration per attempt, older versions per test.
+ */
+const getTestDuration = test => {
+  if (test.attempts && test.attempts.length) {
+    return test.attempts.reduce(
+      (sum, attempt) =>
+        sum + (attempt.duration || attempt.wallClockDuration || 0),
+      0
+    )
+  }
+  return test.wallClockDuration || test.duration || 0
+}
+
+/**
+ * Converts the Cypress module API test results into a stable
+ * JSON structure that does not depend on the Cypress version.
+ */
+const getNormalizedResults = testResults => {
+  const runs = testResults.runs || []
+
+  return {
+    status: testResults.totalFailed ? 'failed' : 'passed',
+    startedAt: testResults.startedTestsAt,
+    endedAt: testResults.endedTestsAt,
+    cypressVersion: testResults.cypressVersion,
+    browser: {
+      name: testResults.browserName,
+      version: testResults.browserVersion
+    },
+    dashboardUrl: testResults.runUrl,
+    flakySpecs: testResults.flakySpecs || [],
+    projects: testResults.projects || [],
+    totals: {
+      tests: testResults.totalTests,
+      passed: testResults.totalPassed,
+      failed: testResults.totalFailed,
+      pending: testResults.totalPending,
+      skipped: testResults.totalSkipped,
+      duration: testResults.totalDuration
+    },
+    specs: runs.map(run => ({
+      spec: run.spec.relative,
+      browser: run.browser || null,
+      absolute: run.spec.absolute,
+      totals: {
+        tests: run.stats.tests,
+        passed: run.stats.passes,
+        failed: run.stats.failures,
+        pending: run.stats.pending,
+        skipped: run.stats.skipped,
+        duration: run.stats.duration
+      },
+      tests: (run.tests || []).map(test => ({
+        title: test.title,
+        fullTitle: test.title.join(' '),
+        state: test.state,
+        duration: getTestDuration(test),
+        error: getTestError(test) || null
+      }))
+    }))
+  }
+}
+
+/**
+ * Names the project or spec run in one of several browsers,
+ * the current folder "." project is named by the browser alone.
+ */
+const getRunLabel = ({ name, browser }) => {
+  if (!browser) {
+    return name
+  }
+  return name === '.' ? browser : `${name} in ${browser}`
+}
+
+/**
+ * Escapes text for XML attributes and elements, removing
+ * the control characters XML does not allow at all.
+ */
+const escapeXml = s =>
+  String(s)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+
+const toSeconds = ms => ((ms || 0) / 1000).toFixed(3)
+
+const xmlAttributes = attributes =>
+  Object.keys(attributes)
+    .map(name => `${name}="${escapeXml(attributes[name])}"`)
+    .join(' ')
+
+/**
+ * Forms JUnit XML report with one testsuite per spec
+ * and one testcase per test.
+ */
+const getJUnitXml = normalized => {
+  const { totals } = normalized
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites ${xmlAttributes({
+      name: 'Cypress',
+      tests: totals.tests,
+      failures: totals.failed,
+      skipped: totals.pending + totals.skipped,
+      time: toSeconds(totals.duration)
+    })}>`
+  ]
+
+  normalized.specs.forEach(spec => {
+    lines.push(
+      `  <testsuite ${xmlAttributes({
+        name: getRunLabel({
+          name: spec.spec,
+          browser: spec.browser
+        }),
+        file: spec.spec,
+        tests: spec.totals.tests,
+        failures: spec.totals.failed,
+        skipped: spec.totals.pending + spec.totals.skipped,
+        time: toSeconds(spec.totals.duration)
+      })}>`
+    )
+
+    spec.tests.forEach(test => {
+      lines.push(
+        `    <testcase ${xmlAttributes({
+          name: test.title[test.title.length - 1],
+          classname: test.title.slice(0, -1).join(' ') || spec.spec,
+          file: spec.spec,
+          time: toSeconds(test.duration)
+        })}>`
+      )
+      if (test.state === 'failed') {
+        const error = test.error || {
+          message: 'Test failed',
+          stack: ''
+        }
+        lines.push(
+          `      <failure ${xmlAttributes({
+            message: error.message
+          })}>${escapeXml(error.stack || error.message)}</failure>`
+        )
+      } else if (
+        test.state === 'pending' ||
+        test.state === 'skipped'
+      ) {
+        lines.push('      <skipped/>')
+      }
+      lines.push('    </testcase>')
+    })
+
+    lines.push('  </testsuite>')
+  })
+
+  lines.push('</testsuites>')
+  return lines.join('\n') + '\n'
+}
+
+const writeResultFile = (filename, contents) => {
+  const fullPath = path.resolve(paths.startWorkingDirectory, filename)
+  core.debug(`writing ${fullPath}`)
+  fs.mkdirSync(path.dirname(fullPath), { recursive: true })
+  fs.writeFileSync(fullPath, contents)
+  return fullPath
+}
+
+/**
+ * Writes the JUnit XML and the normalized JSON results if
+ * the "junit-file" and "results-file" parameters are set,
+ * and exposes the written file paths as step outputs.
+ */
+const writeResultFilesMaybe = testResults => {
+  const junitFile = getInput('junit-file')
+  const resultsFile = getInput('results-file')
+  if (!junitFile && !resultsFile) {
+    return
+  }
+
+  const normalized = getNormalizedResults(testResults)
+
+  try {
+    if (junitFile) {
+      const filename = writeResultFile(
+        junitFile,
+        getJUnitXml(normalized)
+      )
+      console.log('wrote JUnit report %s', filename)
+      core.setOutput('junitFile', filename)
+    }
+    if (resultsFile) {
+      const filename = writeResultFile(
+        resultsFile,
+        JSON.stringify(normalized, null, 2) + '\n'
+      )
+      console.log('wrote test results %s', filename)
+      core.setOutput('resultsFile', filename)
+    }
+  } catch (e) {
+    console.warn('Writing test result files error: %s', e.message)
+  }
+}
+
+/**
+ * Sets the step outputs with the test counts and the overall status.
+ * The status is "passed" or "failed" when Cypress has run the tests
+ * and "errored" when Cypress could not run them at all.
+ */
+const setTestOutputs = testResults => {
+  if (testResults.failures) {
+    core.setOutput('status', 'errored')
+    return
+  }
+
+  core.setOutput(
+    'status',
+    testResults.totalFailed ? 'failed' : 'passed'
+  )
+  core.setOutput('totalTests', testResults.totalTests)
+  core.setOutput('totalPassed', testResults.totalPassed)
+  core.setOutput('totalFailed', testResults.totalFailed)
+  core.setOutput('totalPending', testResults.totalPending)
+  core.setOutput('totalSkipped', testResults.totalSkipped)
+  core.setOutput('totalDuration', testResults.totalDuration)
+
+  const failedSpecs = (testResults.runs || [])
+    .filter(run => run.stats.failures)
+    .map(run => run.spec.relative)
+  core.setOutput('failedSpecs', JSON.stringify(failedSpecs))
+  core.setOutput(
+    'flakySpecs',
+    JSON.stringify(testResults.flakySpecs || [])
+  )
+  if (testResults.projects) {
+    core.setOutput(
+      'projectResults',
+      JSON.stringify(testResults.projects)
+    )
+  }
+}
+
+module.exports = {
+  getRunLabel,
+  getTestError,
+  getTestDuration,
+  getNormalizedResults,
+  escapeXml,
+  toSeconds,
+  xmlAttributes,
+  getJUnitXml,
+  writeResultFile,
+  writeResultFilesMaybe,
+  setTestOutputs
+}
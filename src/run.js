@@ -0,0 +1,489 @@
+// @ts-check
+const core = require('@actions/core')
+const exec = require('@actions/exec')
+const quote = require('quote')
+const { getInput, getInputBool } = require('./inputs')
+const { paths } = require('./paths')
+const { execCommand, parseCommandLine } = require('./utils')
+const { findPnpFilename } = require('./package-manager')
+const { CYPRESS_CACHE_FOLDER } = require('./cache')
+const { getPackageRunner } = require('./install')
+const { getCiBuildId, exportCommitInfo } = require('./github')
+const {
+  getEnvInput,
+  getConfigInput,
+  toCommandLineValue
+} = require('./env-config')
+const {
+  writeSummaryMaybe,
+  commentOnPullRequestMaybe
+} = require('./summary')
+const { setTestOutputs, writeResultFilesMaybe } = require('./results')
+const { annotateFailedTestsMaybe } = require('./annotations')
+const { getShardSpecs, saveSpecTimingsMaybe } = require('./specs')
+
+/**
+ * Converts the Cypress module API options into the "cypress run"
+ * command line flags, like "configFile" into "--config-file".
+ */
+const toCommandLineArguments = cypressOptions => {
+  const args = []
+  Object.keys(cypressOptions).forEach(name => {
+    const value = cypressOptions[name]
+    if (value === false || value === undefined) {
+      return
+    }
+    args.push(
+      '--' + name.replace(/[A-Z]/g, c => '-' + c.toLowerCase())
+    )
+    if (value === true) {
+      return
+    }
+    args.push(
+      typeof value === 'object' ? toCommandLineValue(value) : value
+    )
+  })
+  return args
+}
+
+/**
+ * Forms the "cypress run ..." command line arguments after the command
+ * prefix from the same options as the module API uses.
+ * Resolves with undefined if there are no specs to run.
+ */
+const getCommandLineArguments = async () =>
+  toCypressCommandLine(await getCypressOptions())
+
+/**
+ * Forms the "cypress run ..." command line arguments after the command
+ * prefix from the given options, or undefined without the options.
+ */
+const toCypressCommandLine = cypressOptions => {
+  const commandPrefix = getInput('command-prefix')
+  if (!commandPrefix) {
+    throw new Error('Expected command prefix')
+  }
+  if (!cypressOptions) {
+    return
+  }
+
+  // the prefix might have quoted arguments with spaces
+  const cmd = parseCommandLine(commandPrefix)
+  core.debug(`with command prefix arguments: ${JSON.stringify(cmd)}`)
+
+  return cmd.concat(
+    ['cypress', 'run'],
+    toCommandLineArguments(cypressOptions)
+  )
+}
+
+/**
+ * Forms entire command line like "npx cypress run ..."
+ */
+const runTestsUsingCommandLine = async () => {
+  core.debug('Running Cypress tests using CLI command')
+
+  const cmd = await getCommandLineArguments()
+  if (!cmd) {
+    console.log('Skipping running tests: no specs in this shard')
+    return
+  }
+
+  const runner = await getPackageRunner()
+  core.debug(`${runner.name} path: ${runner.toolPath}`)
+
+  console.log(
+    'Cypress test command: %s %s',
+    runner.name,
+    cmd.join(' ')
+  )
+
+  // pass the arguments as is, @actions/exec quotes them for the platform,
+  // including values with spaces and quotes like JSON
+  const opts = {
+    ...paths.cypressCommandOptions,
+    windowsVerbatimArguments: false
+  }
+
+  core.debug(
+    `in working directory "${paths.cypressCommandOptions.cwd}"`
+  )
+
+  // the command line only tells us the exit code, which is
+  // the number of failed tests or 1 if Cypress could not run
+  const exitCode = await exec.exec(
+    quote(runner.toolPath),
+    runner.args.concat(cmd),
+    {
+      ...opts,
+      ignoreReturnCode: true
+    }
+  )
+  core.setOutput('status', exitCode ? 'failed' : 'passed')
+  if (exitCode) {
+    throw new Error(
+      `Cypress command failed with exit code ${exitCode}`
+    )
+  }
+}
+
+const sumRunStats = (runs, name) =>
+  runs.reduce((sum, run) => sum + (run.stats[name] || 0), 0)
+
+/**
+ * Replaces the runs of the retried specs with their new runs
+ * and recomputes the totals.
+ */
+const mergeRetryResults = (testResults, retryResults) => {
+  const retriedRuns = {}
+  retryResults.runs.forEach(run => {
+    retriedRuns[run.spec.relative] = run
+  })
+  const runs = testResults.runs.map(
+    run => retriedRuns[run.spec.relative] || run
+  )
+
+  return {
+    ...testResults,
+    runs,
+    endedTestsAt: retryResults.endedTestsAt,
+    totalDuration:
+      testResults.totalDuration + retryResults.totalDuration,
+    totalTests: sumRunStats(runs, 'tests'),
+    totalPassed: sumRunStats(runs, 'passes'),
+    totalFailed: sumRunStats(runs, 'failures'),
+    totalPending: sumRunStats(runs, 'pending'),
+    totalSkipped: sumRunStats(runs, 'skipped')
+  }
+}
+
+/**
+ * Re-runs only the specs with failed tests, up to "retry-failed-specs"
+ * times. A spec that passes on retry is flaky and is listed
+ * in the "flakySpecs" property of the merged test results.
+ */
+const retryFailedSpecsMaybe = async (
+  cypress,
+  cypressOptions,
+  testResults
+) => {
+  const retries = parseInt(getInput('retry-failed-specs') || '0')
+  if (!retries) {
+    return testResults
+  }
+
+  // the retries are not recorded, the Dashboard run is already complete
+  const retryOptions = {
+    ...cypressOptions,
+    record: false,
+    parallel: false
+  }
+  delete retryOptions.group
+  delete retryOptions.tag
+  delete retryOptions.ciBuildId
+
+  let results = testResults
+  const retriedSpecs = []
+  for (let attempt = 1; attempt <= retries; attempt += 1) {
+    if (results.failures || !results.totalFailed) {
+      break
+    }
+
+    const failedRuns = results.runs.filter(run => run.stats.failures)
+    failedRuns.forEach(run => {
+      if (!retriedSpecs.includes(run.spec.relative)) {
+        retriedSpecs.push(run.spec.relative)
+      }
+    })
+    console.log(
+      'Retrying %d failed spec(s), attempt %d of %d',
+      failedRuns.length,
+      attempt,
+      retries
+    )
+
+    let retryResults
+    try {
+      retryResults = await cypress.run({
+        ...retryOptions,
+        spec: failedRuns.map(run => run.spec.absolute).join(',')
+      })
+    } catch (e) {
+      // keep the results so far, they are still reported
+      console.warn('Retrying failed specs error: %s', e.message)
+      break
+    }
+    if (retryResults.failures) {
+      console.warn(
+        'Retrying failed specs error: %s',
+        retryResults.message
+      )
+      break
+    }
+    results = mergeRetryResults(results, retryResults)
+  }
+
+  results.flakySpecs = retriedSpecs.filter(spec =>
+    results.runs.some(
+      run => run.spec.relative === spec && !run.stats.failures
+    )
+  )
+  results.flakySpecs.forEach(spec => {
+    console.log(
+      'Flaky spec %s has failed, then passed on retry',
+      spec
+    )
+  })
+  return results
+}
+
+/**
+ * Collects the input parameters into the options object
+ * for the Cypress module API "cypress.run" call. Takes the values
+ * resolved at run time, the specs of this shard and the build id,
+ * so it does not restore caches, call GitHub or export variables.
+ * Returns undefined if there are no specs to run.
+ */
+const buildCypressOptions = ({ shardSpecs, ciBuildId } = {}) => {
+  const cypressOptions = {
+    headless: getInputBool('headless'),
+    record: getInputBool('record'),
+    parallel: getInputBool('parallel'),
+    quiet: getInputBool('quiet')
+  }
+
+  if (getInput('group')) {
+    cypressOptions.group = getInput('group')
+  }
+  if (getInput('tag')) {
+    cypressOptions.tag = getInput('tag')
+  }
+  const config = getConfigInput()
+  if (config) {
+    cypressOptions.config = config
+    core.debug(`Cypress config ${JSON.stringify(config)}`)
+  }
+  if (shardSpecs && !shardSpecs.length) {
+    return
+  }
+  if (shardSpecs) {
+    cypressOptions.spec = shardSpecs.join(',')
+  } else if (getInput('spec')) {
+    cypressOptions.spec = getInput('spec')
+  }
+  if (getInput('config-file')) {
+    cypressOptions.configFile = getInput('config-file')
+  }
+
+  // if the user set the explicit folder, use that
+  if (paths.project) {
+    cypressOptions.project = paths.project
+  }
+  if (getInput('browser')) {
+    cypressOptions.browser = getInput('browser')
+  }
+  const env = getEnvInput()
+  if (env) {
+    cypressOptions.env = env
+  }
+
+  if (
+    (cypressOptions.parallel || cypressOptions.group) &&
+    ciBuildId
+  ) {
+    cypressOptions.ciBuildId = ciBuildId
+  }
+
+  core.debug(`Cypress options ${JSON.stringify(cypressOptions)}`)
+
+  return cypressOptions
+}
+
+/**
+ * Resolves the specs of this shard and the build id, exports
+ * the commit info when recording and builds the options object
+ * for the Cypress module API "cypress.run" call.
+ * Resolves with undefined if there are no specs to run.
+ */
+const getCypressOptions = async () => {
+  const shardSpecs = await getShardSpecs()
+  if (shardSpecs && !shardSpecs.length) {
+    return
+  }
+
+  if (getInputBool('record')) {
+    await exportCommitInfo()
+  }
+
+  let ciBuildId
+  if (getInputBool('parallel') || getInput('group')) {
+    const { branch, parallelId } = await getCiBuildId()
+    if (branch) {
+      core.exportVariable('GH_BRANCH', branch)
+    }
+    ciBuildId = getInput('ci-build-id') || parallelId
+  }
+
+  return buildCypressOptions({ shardSpecs, ciBuildId })
+}
+
+/**
+ * Reports the test results from the Cypress module API: writes
+ * the summary and the result files, sets the outputs and rejects
+ * if Cypress could not run or any test has failed.
+ */
+const reportTestResults = async testResults => {
+  writeSummaryMaybe(testResults)
+  setTestOutputs(testResults)
+  await commentOnPullRequestMaybe(testResults)
+
+  if (testResults.failures) {
+    console.error('Test run failed, code %d', testResults.failures)
+    if (testResults.message) {
+      console.error(testResults.message)
+    }
+
+    return Promise.reject(
+      new Error(testResults.message || 'Error running Cypress')
+    )
+  }
+
+  core.debug(`Cypress tests: ${testResults.totalFailed} failed`)
+
+  writeResultFilesMaybe(testResults)
+  annotateFailedTestsMaybe(testResults)
+  await saveSpecTimingsMaybe(testResults)
+
+  const dashboardUrl = testResults.runUrl
+  if (dashboardUrl) {
+    core.debug(`Dashboard url ${dashboardUrl}`)
+  } else {
+    core.debug('There is no Dashboard url')
+  }
+  // we still set the output explicitly
+  core.setOutput('dashboardUrl', dashboardUrl)
+
+  if (testResults.totalFailed) {
+    return Promise.reject(
+      new Error(`Cypress tests: ${testResults.totalFailed} failed`)
+    )
+  }
+
+  const flakySpecs = testResults.flakySpecs || []
+  if (flakySpecs.length && getInputBool('fail-on-flaky')) {
+    return Promise.reject(
+      new Error(
+        `Cypress tests: ${
+          flakySpecs.length
+        } flaky spec(s) ${flakySpecs.join(', ')}`
+      )
+    )
+  }
+}
+
+/**
+ * Runs Cypress tests in the working directory using the NPM module API
+ * and retries the failed specs. The extra options like "browser"
+ * override the parameters. Resolves with the test results,
+ * or with undefined if there are no specs to run.
+ * @see https://on.cypress.io/module-api
+ */
+const runCypress = async (extraOptions = {}) => {
+  core.debug(`requiring cypress dependency, cwd is ${process.cwd()}`)
+  core.debug(`working directory ${paths.workingDirectory}`)
+
+  const pnpFilename = findPnpFilename()
+  if (pnpFilename) {
+    // let Node resolve the packages inside the Yarn cache archives
+    core.debug(`setting up Yarn Plug'n'Play using ${pnpFilename}`)
+    require(pnpFilename).setup()
+  }
+
+  const cypressModulePath =
+    require.resolve('cypress', {
+      paths: [paths.workingDirectory]
+    }) || 'cypress'
+  core.debug(`resolved cypress ${cypressModulePath}`)
+
+  const cypress = require(cypressModulePath)
+  const inputOptions = await getCypressOptions()
+  if (!inputOptions) {
+    console.log('Skipping running tests: no specs in this shard')
+    return
+  }
+  const cypressOptions = { ...inputOptions, ...extraOptions }
+
+  process.chdir(paths.workingDirectory)
+  try {
+    const testResults = await cypress.run(cypressOptions)
+    return await retryFailedSpecsMaybe(
+      cypress,
+      cypressOptions,
+      testResults
+    )
+  } finally {
+    process.chdir(paths.startWorkingDirectory)
+  }
+}
+
+// export common environment variables that help run Cypress
+const exportTestVariables = () => {
+  core.exportVariable('CYPRESS_CACHE_FOLDER', CYPRESS_CACHE_FOLDER)
+  core.exportVariable('TERM', 'xterm')
+}
+
+/**
+ * Run Cypress tests by collecting input parameters
+ * and using Cypress module API to run tests.
+ * @see https://on.cypress.io/module-api
+ */
+const runTests = async () => {
+  const runTests = getInputBool('runTests', true)
+  if (!runTests) {
+    console.log('Skipping running tests: runTests parameter is false')
+    return
+  }
+
+  exportTestVariables()
+
+  const customCommand = getInput('command')
+  if (customCommand) {
+    console.log('Using custom test command: %s', customCommand)
+    return execCommand(customCommand, true, 'run tests')
+  }
+
+  const commandPrefix = getInput('command-prefix')
+  if (commandPrefix) {
+    return runTestsUsingCommandLine()
+  }
+
+  core.debug('Running Cypress tests using NPM module API')
+
+  const onTestsError = e => {
+    core.setOutput('status', 'errored')
+
+    console.error(e)
+    return Promise.reject(e)
+  }
+
+  return runCypress().then(
+    testResults => testResults && reportTestResults(testResults),
+    onTestsError
+  )
+}
+
+module.exports = {
+  toCommandLineArguments,
+  getCommandLineArguments,
+  toCypressCommandLine,
+  runTestsUsingCommandLine,
+  sumRunStats,
+  mergeRetryResults,
+  retryFailedSpecsMaybe,
+  buildCypressOptions,
+  getCypressOptions,
+  reportTestResults,
+  runCypress,
+  exportTestVariables,
+  runTests
+}
@@ -0,0 +1,380 @@
+// @ts-check
+const core = require('@actions/core')
+const { spawn, spawnSync } = require('child_process')
+const io = require('@actions/io')
+const fs = require('fs')
+const path = require('path')
+const quote = require('quote')
+const { getInput, getInputRegExp } = require('./inputs')
+const { paths } = require('./paths')
+const { isWindows, waitAtMost, parseCommandLine } = require('./utils')
+const { parseWaitOnResources, waitForResource } = require('./wait-on')
+
+// servers started in the background by the "start" commands
+const servers = []
+
+// the "start-log" file stream, ended once the servers stop
+let serverLogStream
+
+// how long to wait for the servers to stop before killing them
+const SERVER_STOP_TIMEOUT_MS = 5000
+
+// how much of the server output to show if the server crashes
+const SERVER_OUTPUT_LENGTH = 10000
+
+/**
+ * Sends the signal to the process and all its child processes.
+ * On Linux and Mac the server runs in its own process group,
+ * on Windows we use "taskkill" to stop the process tree.
+ */
+const killProcessTree = (pid, signal) => {
+  if (isWindows()) {
+    const args = ['/pid', String(pid), '/T']
+    if (signal === 'SIGKILL') {
+      args.push('/F')
+    }
+    spawnSync('taskkill', args, { stdio: 'ignore' })
+    return
+  }
+
+  try {
+    process.kill(-pid, signal)
+  } catch (e) {
+    // the process group has already exited
+    core.debug(`could not send ${signal} to ${pid}: ${e.message}`)
+  }
+}
+
+// removes terminal colors before matching the server output
+const stripAnsi = s => s.replace(/\u001b\[[0-9;]*m/g, '')
+
+/**
+ * Starts the command in the background and keeps the end
+ * of its output to show if the server crashes. The server is
+ * ready once its output matches the "readyPattern", and fails
+ * if it exits with an error or its output matches the "errorPattern".
+ */
+const startServer = async (command, options) => {
+  const { logStream, readyPattern, errorPattern } = options
+  console.log('start server with command "%s"', command)
+  console.log(
+    'current working directory "%s"',
+    paths.workingDirectory
+  )
+
+  const args = parseCommandLine(command)
+  const toolPath = await io.which(args[0], true)
+  core.debug(`found command "${toolPath}"`)
+
+  // new process group lets us stop the server with its child processes
+  const child = spawn(
+    isWindows() ? quote(toolPath) : toolPath,
+    args.slice(1),
+    {
+      cwd: paths.workingDirectory,
+      detached: !isWindows(),
+      shell: isWindows(),
+      stdio: ['ignore', 'pipe', 'pipe']
+    }
+  )
+
+  const server = {
+    command,
+    child,
+    output: '',
+    stopping: false,
+    isReady: false
+  }
+  server.failure = new Promise(resolve => {
+    server.fail = error => {
+      if (!server.error) {
+        server.error = error
+        resolve(error)
+      }
+    }
+  })
+  server.ready = new Promise(resolve => {
+    server.setReady = () => {
+      server.isReady = true
+      resolve()
+    }
+  })
+
+  const onOutput = outputStream => data => {
+    outputStream.write(data)
+    if (logStream && logStream.writable) {
+      logStream.write(data)
+    }
+    server.output = (server.output + data).slice(
+      -SERVER_OUTPUT_LENGTH
+    )
+
+    const text = stripAnsi(server.output)
+    if (errorPattern && errorPattern.test(text)) {
+      server.fail(
+        new Error(
+          `Server started with "${command}" printed output matching ${errorPattern}\n${server.output}`
+        )
+      )
+    } else if (
+      readyPattern &&
+      !server.isReady &&
+      readyPattern.test(text)
+    ) {
+      core.debug(`server "${command}" output matches ${readyPattern}`)
+      server.setReady()
+    }
+  }
+  child.stdout.on('data', onOutput(process.stdout))
+  child.stderr.on('data', onOutput(process.stderr))
+
+  server.exit = new Promise(resolve => {
+    child.once('error', error => {
+      server.exited = { error }
+      resolve(server.exited)
+    })
+    child.once('exit', (code, signal) => {
+      server.exited = { code, signal }
+      resolve(server.exited)
+    })
+  })
+  // the output is complete once the server closes its streams
+  server.closed = new Promise(resolve => child.once('close', resolve))
+  server.exit.then(() => {
+    // the server might be a launcher that exits after starting a daemon
+    if (!server.stopping && server.exited.code !== 0) {
+      server.fail(getServerExitError(server))
+    }
+  })
+
+  return server
+}
+
+const getServerExitError = server => {
+  const { error, code, signal } = server.exited
+  const reason = error
+    ? error.message
+    : signal
+    ? `was killed with ${signal}`
+    : `exited with code ${code}`
+  return new Error(
+    `Server started with "${server.command}" ${reason}\n${server.output}`
+  )
+}
+
+/**
+ * Rejects as soon as any started server fails, never resolves.
+ */
+const whenAnyServerFails = () =>
+  Promise.race(servers.map(server => server.failure)).then(error =>
+    Promise.reject(error)
+  )
+
+/**
+ * Resolves when the server prints output matching the ready pattern.
+ * Adds its timer to the "cancel" object to clear when giving up early.
+ * @param {{ timers: any[] }} [cancel]
+ */
+const waitForServerOutput = (server, pattern, timeoutMs, cancel) => {
+  console.log(
+    'waiting for server "%s" to print %s with timeout of %s seconds',
+    server.command,
+    pattern,
+    timeoutMs / 1000
+  )
+  let timer
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      reject(
+        new Error(
+          `Server started with "${
+            server.command
+          }" did not print output matching ${pattern} after ${timeoutMs /
+            1000} seconds\n${server.output}`
+        )
+      )
+    }, timeoutMs)
+    if (cancel) {
+      cancel.timers.push(timer)
+    }
+  })
+  return Promise.race([server.ready, timeout]).then(() =>
+    clearTimeout(timer)
+  )
+}
+
+const assertServersRunning = () => {
+  const failedServer = servers.find(server => server.error)
+  if (failedServer) {
+    throw failedServer.error
+  }
+}
+
+const getStartCommands = () => {
+  let startCommand
+
+  if (isWindows()) {
+    // allow custom Windows start command
+    startCommand = getInput('start-windows') || getInput('start')
+  } else {
+    startCommand = getInput('start')
+  }
+
+  // multiple commands go on separate lines, a single command
+  // might have commas, like "npm start -- --hosts a,b"
+  return startCommand
+    .split(/\r?\n/)
+    .map(s => s.trim())
+    .filter(Boolean)
+}
+
+const startServersMaybe = async () => {
+  const startCommands = getStartCommands()
+  if (!startCommands.length) {
+    core.debug('No start command found')
+    return
+  }
+
+  let logStream
+  const startLog = getInput('start-log')
+  if (startLog) {
+    const logFilename = path.resolve(
+      paths.startWorkingDirectory,
+      startLog
+    )
+    console.log('saving server output to %s', logFilename)
+    fs.mkdirSync(path.dirname(logFilename), { recursive: true })
+    logStream = fs.createWriteStream(logFilename, { flags: 'a' })
+    serverLogStream = logStream
+  }
+
+  const readyPattern = getInputRegExp('start-ready-pattern')
+  const errorPattern = getInputRegExp('start-error-pattern')
+  for (const command of startCommands) {
+    servers.push(
+      await startServer(command, {
+        logStream,
+        readyPattern,
+        errorPattern
+      })
+    )
+  }
+}
+
+/**
+ * Stops the server process tree with SIGTERM,
+ * and kills whatever is left after a timeout.
+ */
+const stopServer = async server => {
+  server.stopping = true
+  if (!server.exited) {
+    console.log('stopping server started with "%s"', server.command)
+    killProcessTree(server.child.pid, 'SIGTERM')
+    await waitAtMost(server.exit, SERVER_STOP_TIMEOUT_MS)
+  }
+  // the server process might have exited leaving its children running
+  killProcessTree(server.child.pid, 'SIGKILL')
+}
+
+/**
+ * Ends the "start-log" file stream, resolves once the output
+ * is written to the file.
+ */
+const endServerLog = () => {
+  const logStream = serverLogStream
+  serverLogStream = undefined
+  if (!logStream) {
+    return Promise.resolve()
+  }
+  return new Promise(resolve => {
+    logStream.once('error', error => {
+      console.warn('Writing server log error: %s', error.message)
+      resolve()
+    })
+    logStream.end(resolve)
+  })
+}
+
+/**
+ * Stops all the servers and forgets them,
+ * so the next run in the same process starts with none.
+ * Saves the last server output, like what the servers print
+ * when stopping, to the "start-log" file before closing it.
+ */
+const stopServers = () => {
+  const stopped = servers.splice(0, servers.length)
+  return Promise.all(stopped.map(stopServer))
+    .then(() =>
+      waitAtMost(
+        Promise.all(stopped.map(server => server.closed)),
+        SERVER_STOP_TIMEOUT_MS
+      )
+    )
+    .then(endServerLog)
+}
+
+const waitOnMaybe = () => {
+  const waitOn = getInput('wait-on')
+  const readyPattern = getInputRegExp('start-ready-pattern')
+  if (!waitOn && !(readyPattern && servers.length)) {
+    return
+  }
+
+  const waitOnTimeout = getInput('wait-on-timeout') || '60'
+  const resources = waitOn
+    ? parseWaitOnResources(waitOn, waitOnTimeout)
+    : []
+
+  resources.forEach(resource => {
+    console.log(
+      'waiting on "%s" with timeout of %s seconds',
+      resource.resource,
+      resource.timeout / 1000
+    )
+  })
+
+  // stops the other waits once any of them fails
+  const cancel = { cancelled: false, timers: [] }
+  const waiting = resources.map(resource =>
+    waitForResource(resource, cancel)
+  )
+  if (readyPattern) {
+    const timeoutMs = parseFloat(waitOnTimeout) * 1000
+    servers.forEach(server => {
+      waiting.push(
+        waitForServerOutput(server, readyPattern, timeoutMs, cancel)
+      )
+    })
+  }
+  const stopWaiting = () => {
+    cancel.cancelled = true
+    cancel.timers.forEach(timer => clearTimeout(timer))
+  }
+
+  // fail fast if any started server crashes while we are waiting
+  return Promise.race([
+    Promise.all(waiting),
+    whenAnyServerFails()
+  ]).then(stopWaiting, error => {
+    stopWaiting()
+    return Promise.reject(error)
+  })
+}
+
+module.exports = {
+  servers,
+  SERVER_STOP_TIMEOUT_MS,
+  SERVER_OUTPUT_LENGTH,
+  killProcessTree,
+  stripAnsi,
+  startServer,
+  getServerExitError,
+  whenAnyServerFails,
+  waitForServerOutput,
+  assertServersRunning,
+  getStartCommands,
+  startServersMaybe,
+  stopServer,
+  stopServers,
+  waitOnMaybe
+}
@@ -0,0 +1,375 @@
+// @ts-check
+const { restoreCache, saveCache } = require('@actions/cache')
+const core = require('@actions/core')
+const minimatch = require('minimatch')
+const fs = require('fs')
+const path = require('path')
+const { getInput } = require('./inputs')
+const { paths } = require('./paths')
+const { getConfigInput } = require('./env-config')
+const { homeDirectory, platformAndArch, delay } = require('./utils')
+
+/**
+ * Reads the spec settings from the Cypress config file
+ * and the "config" parameter, using Cypress defaults.
+ * @see https://on.cypress.io/configuration#Folders-Files
+ */
+const getSpecConfig = projectRoot => {
+  let config = {}
+  const configFile = getInput('config-file') || 'cypress.json'
+  const configFilename = path.resolve(projectRoot, configFile)
+  if (configFile !== 'false' && fs.existsSync(configFilename)) {
+    config = JSON.parse(fs.readFileSync(configFilename, 'utf8'))
+  }
+
+  config = { ...config, ...getConfigInput() }
+
+  return {
+    integrationFolder: path.resolve(
+      projectRoot,
+      config.integrationFolder || 'cypress/integration'
+    ),
+    testFiles: [].concat(config.testFiles || '**/*.*'),
+    ignoreTestFiles: [].concat(
+      config.ignoreTestFiles || '*.hot-update.js'
+    )
+  }
+}
+
+const listFiles = folder => {
+  let files = []
+  fs.readdirSync(folder).forEach(name => {
+    const filename = path.join(folder, name)
+    if (fs.statSync(filename).isDirectory()) {
+      files = files.concat(listFiles(filename))
+    } else {
+      files.push(filename)
+    }
+  })
+  return files
+}
+
+/**
+ * Finds the spec files the same way Cypress does: the files in the
+ * integration folder matching "testFiles" and not "ignoreTestFiles"
+ * patterns. Returns the paths relative to the working directory.
+ */
+const findSpecFiles = () => {
+  const projectRoot = path.resolve(
+    paths.workingDirectory,
+    paths.project || '.'
+  )
+  const specConfig = getSpecConfig(projectRoot)
+  core.debug(`finding specs using ${JSON.stringify(specConfig)}`)
+  if (!fs.existsSync(specConfig.integrationFolder)) {
+    throw new Error(
+      `Cannot find integration folder ${specConfig.integrationFolder}`
+    )
+  }
+
+  const matchOptions = { dot: true, matchBase: true }
+  const matches = (file, patterns) =>
+    patterns.some(pattern => minimatch(file, pattern, matchOptions))
+
+  return listFiles(specConfig.integrationFolder)
+    .filter(filename => {
+      const file = path
+        .relative(specConfig.integrationFolder, filename)
+        .split(path.sep)
+        .join('/')
+      return (
+        matches(file, specConfig.testFiles) &&
+        !matches(file, specConfig.ignoreTestFiles)
+      )
+    })
+    .map(filename =>
+      path
+        .relative(paths.workingDirectory, filename)
+        .split(path.sep)
+        .join('/')
+    )
+    .sort()
+}
+
+// spec durations from the previous runs, saved using the Actions cache
+const SPEC_TIMINGS_FOLDER = path.join(
+  homeDirectory,
+  '.cache',
+  'cypress-spec-timings'
+)
+
+const SPEC_TIMINGS_FILENAME = path.join(
+  SPEC_TIMINGS_FOLDER,
+  'timings.json'
+)
+
+// the durations all shards of one run use to split the specs, the first
+// shard to start pins them to a cache entry of the run for the others
+const SPLIT_TIMINGS_FOLDER = path.join(
+  homeDirectory,
+  '.cache',
+  'cypress-spec-split'
+)
+
+const SPLIT_TIMINGS_FILENAME = path.join(
+  SPLIT_TIMINGS_FOLDER,
+  'timings.json'
+)
+
+// how long to wait for another shard to pin the durations
+const SPLIT_TIMINGS_TIMEOUT_MS = 2 * 60 * 1000
+const SPLIT_TIMINGS_POLL_MS = 5000
+
+// durations restored at the start and updated after the run
+let specTimings = {}
+
+const resetSpecTimings = () => {
+  specTimings = {}
+}
+
+const readJson = filename =>
+  JSON.parse(fs.readFileSync(filename, 'utf8'))
+
+const getSpecTimingsCache = () => {
+  const {
+    GITHUB_JOB,
+    GITHUB_RUN_ID,
+    GITHUB_RUN_ATTEMPT
+  } = process.env
+  const restoreKeys = `cypress-spec-timings-${GITHUB_JOB}-${platformAndArch}-`
+  return {
+    inputPath: SPEC_TIMINGS_FOLDER,
+    restoreKeys,
+    // every shard of every run saves its own cache entry
+    primaryKey: `${restoreKeys}${GITHUB_RUN_ID}-${GITHUB_RUN_ATTEMPT ||
+      1}-${getInput('shard-index')}`
+  }
+}
+
+/**
+ * The cache entry with the durations pinned for the run,
+ * the re-run jobs use it too.
+ */
+const getSplitTimingsCache = () => {
+  const { GITHUB_JOB, GITHUB_RUN_ID } = process.env
+  return {
+    inputPath: SPLIT_TIMINGS_FOLDER,
+    primaryKey: `cypress-spec-split-${GITHUB_JOB}-${platformAndArch}-${GITHUB_RUN_ID}`
+  }
+}
+
+const restoreSpecTimings = () => {
+  core.debug('trying to restore spec timings')
+  const SPEC_TIMINGS_CACHE = getSpecTimingsCache()
+  return restoreCache(
+    [SPEC_TIMINGS_CACHE.inputPath],
+    SPEC_TIMINGS_CACHE.primaryKey,
+    [SPEC_TIMINGS_CACHE.restoreKeys]
+  )
+    .then(cacheKey => {
+      if (!cacheKey || !fs.existsSync(SPEC_TIMINGS_FILENAME)) {
+        core.debug('no spec timings found')
+        return
+      }
+      console.log('using spec timings from cache %s', cacheKey)
+      specTimings = readJson(SPEC_TIMINGS_FILENAME)
+    })
+    .catch(e => {
+      console.warn('Restoring spec timings error: %s', e.message)
+    })
+}
+
+/**
+ * Resolves with the durations pinned for this run,
+ * or undefined if no shard has pinned them yet.
+ */
+const restoreSplitTimings = () => {
+  const SPLIT_TIMINGS_CACHE = getSplitTimingsCache()
+  return restoreCache(
+    [SPLIT_TIMINGS_CACHE.inputPath],
+    SPLIT_TIMINGS_CACHE.primaryKey
+  ).then(cacheKey =>
+    cacheKey && fs.existsSync(SPLIT_TIMINGS_FILENAME)
+      ? readJson(SPLIT_TIMINGS_FILENAME)
+      : undefined
+  )
+}
+
+/**
+ * Finds the durations to split the specs by, the same for all shards
+ * of the run: the durations pinned by the first shard, or the latest
+ * saved durations this shard pins for the others. Splits by count
+ * if the cache cannot be used, and fails rather than splitting
+ * the specs differently from the other shards.
+ */
+const getSplitTimings = async () => {
+  let pinned
+  try {
+    pinned = await restoreSplitTimings()
+  } catch (e) {
+    console.warn(
+      'Cannot share the spec timings between the shards, splitting the specs by count: %s',
+      e.message
+    )
+    return {}
+  }
+  if (pinned) {
+    console.log('using spec timings pinned by this run')
+    specTimings = { ...pinned }
+    return pinned
+  }
+
+  await restoreSpecTimings()
+  const SPLIT_TIMINGS_CACHE = getSplitTimingsCache()
+  fs.mkdirSync(SPLIT_TIMINGS_FOLDER, { recursive: true })
+  fs.writeFileSync(
+    SPLIT_TIMINGS_FILENAME,
+    JSON.stringify(specTimings, null, 2) + '\n'
+  )
+  try {
+    await saveCache(
+      [SPLIT_TIMINGS_CACHE.inputPath],
+      SPLIT_TIMINGS_CACHE.primaryKey
+    )
+    console.log('pinned spec timings for the other shards')
+    return { ...specTimings }
+  } catch (e) {
+    // another shard is pinning its durations at the same time
+    core.debug(`could not pin spec timings: ${e.message}`)
+  }
+
+  const started = Date.now()
+  while (Date.now() - started < SPLIT_TIMINGS_TIMEOUT_MS) {
+    await delay(SPLIT_TIMINGS_POLL_MS)
+    pinned = await restoreSplitTimings().catch(e => {
+      core.debug(`restoring pinned spec timings: ${e.message}`)
+    })
+    if (pinned) {
+      console.log('using spec timings pinned by another shard')
+      specTimings = { ...pinned }
+      return pinned
+    }
+  }
+  throw new Error(
+    `Could not get the spec timings pinned by another shard of this run from cache ${SPLIT_TIMINGS_CACHE.primaryKey}`
+  )
+}
+
+/**
+ * Merges the spec durations of this run into the restored timings
+ * and saves them for the next run to balance the shards.
+ */
+const saveSpecTimingsMaybe = testResults => {
+  if (!getInput('shard-total') || !testResults.runs) {
+    return Promise.resolve()
+  }
+
+  testResults.runs.forEach(run => {
+    const spec = path
+      .relative(paths.workingDirectory, run.spec.absolute)
+      .split(path.sep)
+      .join('/')
+    specTimings[spec] = run.stats.duration
+  })
+
+  core.debug('saving spec timings')
+  const SPEC_TIMINGS_CACHE = getSpecTimingsCache()
+  fs.mkdirSync(SPEC_TIMINGS_FOLDER, { recursive: true })
+  fs.writeFileSync(
+    SPEC_TIMINGS_FILENAME,
+    JSON.stringify(specTimings, null, 2) + '\n'
+  )
+  return saveCache(
+    [SPEC_TIMINGS_CACHE.inputPath],
+    SPEC_TIMINGS_CACHE.primaryKey
+  ).catch(e => {
+    console.warn('Saving spec timings error: %s', e.message)
+  })
+}
+
+/**
+ * Assigns the specs to shards by greedy bin-packing on their durations:
+ * the longest spec goes to the shard with the smallest total so far.
+ * Specs without timings are assumed to take the average duration.
+ * @returns {string[][]} list of specs for each shard
+ */
+const balanceSpecs = (specs, timings, shardTotal) => {
+  const known = specs.filter(spec => spec in timings)
+  const average = known.length
+    ? known.reduce((sum, spec) => sum + timings[spec], 0) /
+      known.length
+    : 1
+  const duration = spec => (spec in timings ? timings[spec] : average)
+
+  const shards = []
+  const totals = []
+  for (let k = 0; k < shardTotal; k += 1) {
+    shards.push([])
+    totals.push(0)
+  }
+
+  specs
+    .slice()
+    // sort by name for equal durations, every shard must get the same order
+    .sort((a, b) => duration(b) - duration(a) || (a < b ? -1 : 1))
+    .forEach(spec => {
+      const k = totals.indexOf(Math.min(...totals))
+      shards[k].push(spec)
+      totals[k] += duration(spec)
+    })
+
+  core.debug(`estimated shard durations ${totals.join(', ')}ms`)
+  return shards.map(shard => shard.sort())
+}
+
+/**
+ * Splits the specs across "shard-total" jobs without the Dashboard,
+ * every job gets the same deterministic list and picks its own part.
+ * Uses the spec durations from the previous runs to balance the shards.
+ * Returns undefined if sharding is not used.
+ */
+const getShardSpecs = async () => {
+  const shardTotal = parseInt(getInput('shard-total') || '0')
+  if (!shardTotal) {
+    return
+  }
+  const shardIndex = parseInt(getInput('shard-index'))
+  if (!(shardIndex >= 1 && shardIndex <= shardTotal)) {
+    throw new Error(
+      `Expected shard-index between 1 and ${shardTotal}, got "${getInput(
+        'shard-index'
+      )}"`
+    )
+  }
+
+  const specs = findSpecFiles()
+  const splitTimings = await getSplitTimings()
+  const shardSpecs = balanceSpecs(specs, splitTimings, shardTotal)[
+    shardIndex - 1
+  ]
+  console.log(
+    'Running %d of %d specs in shard %d of %d',
+    shardSpecs.length,
+    specs.length,
+    shardIndex,
+    shardTotal
+  )
+  shardSpecs.forEach(spec => console.log('  %s', spec))
+  return shardSpecs
+}
+
+module.exports = {
+  getSpecConfig,
+  listFiles,
+  findSpecFiles,
+  SPEC_TIMINGS_FOLDER,
+  SPEC_TIMINGS_FILENAME,
+  getSpecTimingsCache,
+  getSplitTimingsCache,
+  restoreSpecTimings,
+  getSplitTimings,
+  resetSpecTimings,
+  saveSpecTimingsMaybe,
+  balanceSpecs,
+  getShardSpecs
+}
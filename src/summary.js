@@ -0,0 +1,317 @@
+// @ts-check
+const core = require('@actions/core')
+const fs = require('fs')
+const path = require('path')
+const { getInputBool, getInput } = require('./inputs')
+const { paths } = require('./paths')
+const { getEventPayload, getOctokit } = require('./github')
+const { getTestError, getRunLabel } = require('./results')
+
+/**
+ * Formats milliseconds as a short duration like "1m 05s" or "830ms"
+ */
+const formatDuration = ms => {
+  if (!ms) {
+    return '0ms'
+  }
+  if (ms < 1000) {
+    return `${Math.round(ms)}ms`
+  }
+  const totalSeconds = Math.round(ms / 1000)
+  const minutes = Math.floor(totalSeconds / 60)
+  const seconds = totalSeconds % 60
+  if (!minutes) {
+    return `${seconds}s`
+  }
+  return `${minutes}m ${String(seconds).padStart(2, '0')}s`
+}
+
+const escapeMarkdownCell = s =>
+  String(s)
+    .replace(/\|/g, '\\|')
+    .replace(/\r?\n/g, ' ')
+
+/**
+ * Forms Markdown report from the Cypress module API test results:
+ * totals, per-spec table and the failed tests with their errors.
+ */
+const getSummaryMarkdown = testResults => {
+  const lines = ['## Cypress results', '']
+
+  if (testResults.failures) {
+    lines.push(
+      `:x: Cypress could not run: ${testResults.message ||
+        'unknown error'}`,
+      ''
+    )
+    return lines.join('\n')
+  }
+
+  const icon = testResults.totalFailed ? ':x:' : ':white_check_mark:'
+  lines.push(
+    `${icon} **${testResults.totalTests} tests**: ` +
+      `${testResults.totalPassed} passed, ` +
+      `${testResults.totalFailed} failed, ` +
+      `${testResults.totalPending} pending, ` +
+      `${testResults.totalSkipped} skipped ` +
+      `in ${formatDuration(testResults.totalDuration)}`,
+    ''
+  )
+
+  const environment = []
+  if (testResults.browserName) {
+    const browserVersion = testResults.browserVersion || ''
+    environment.push(
+      `Browser: ${testResults.browserName} ${browserVersion}`.trim()
+    )
+  }
+  if (testResults.cypressVersion) {
+    environment.push(`Cypress: ${testResults.cypressVersion}`)
+  }
+  if (testResults.runUrl) {
+    environment.push(`[Dashboard run](${testResults.runUrl})`)
+  }
+  if (environment.length) {
+    lines.push(environment.join(' · '), '')
+  }
+
+  const projects = testResults.projects || []
+  if (projects.length) {
+    lines.push(
+      '| Project | Tests | Passing | Failing | Pending | Skipped | Duration |',
+      '| --- | ---: | ---: | ---: | ---: | ---: | ---: |'
+    )
+    projects.forEach(project => {
+      const name = escapeMarkdownCell(getRunLabel(project))
+      if (
+        project.status === 'passed' ||
+        project.status === 'failed'
+      ) {
+        const projectIcon =
+          project.status === 'failed' ? ':x:' : ':white_check_mark:'
+        lines.push(
+          `| ${projectIcon} ${name} ` +
+            `| ${project.totalTests} | ${project.totalPassed} ` +
+            `| ${project.totalFailed} | ${project.totalPending} ` +
+            `| ${project.totalSkipped} ` +
+            `| ${formatDuration(project.totalDuration)} |`
+        )
+      } else if (project.status === 'errored') {
+        const message = escapeMarkdownCell(project.message)
+        lines.push(
+          `| :x: ${name}: could not run, ${message} | | | | | | |`
+        )
+      } else {
+        const message = escapeMarkdownCell(project.message)
+        lines.push(`| ${name}: skipped, ${message} | | | | | | |`)
+      }
+    })
+    lines.push('')
+  }
+
+  const runs = testResults.runs || []
+  if (runs.length) {
+    lines.push(
+      '| Spec | Tests | Passing | Failing | Pending | Skipped | Duration |',
+      '| --- | ---: | ---: | ---: | ---: | ---: | ---: |'
+    )
+    runs.forEach(run => {
+      const { stats } = run
+      const specIcon = stats.failures ? ':x:' : ':white_check_mark:'
+      const spec = getRunLabel({
+        name: run.spec.relative,
+        browser: run.browser
+      })
+      lines.push(
+        `| ${specIcon} ${escapeMarkdownCell(spec)} ` +
+          `| ${stats.tests} | ${stats.passes} | ${stats.failures} ` +
+          `| ${stats.pending} | ${stats.skipped} ` +
+          `| ${formatDuration(stats.duration)} |`
+      )
+    })
+    lines.push('')
+  }
+
+  const failedTests = []
+  runs.forEach(run => {
+    ;(run.tests || []).forEach(test => {
+      if (test.state === 'failed') {
+        failedTests.push({
+          spec: getRunLabel({
+            name: run.spec.relative,
+            browser: run.browser
+          }),
+          test
+        })
+      }
+    })
+  })
+
+  const flakySpecs = testResults.flakySpecs || []
+  if (flakySpecs.length) {
+    lines.push(
+      '### Flaky specs',
+      '',
+      'These specs have failed, then passed on retry',
+      ''
+    )
+    flakySpecs.forEach(spec => {
+      lines.push(`- ${spec}`)
+    })
+    lines.push('')
+  }
+
+  if (failedTests.length) {
+    lines.push('### Failed tests', '')
+    failedTests.forEach(({ spec, test }) => {
+      const title = [spec].concat(test.title).join(' > ')
+      const error = getTestError(test)
+      lines.push(`**${escapeMarkdownCell(title)}**`, '')
+      if (error) {
+        lines.push('```', error.message, '```', '')
+      }
+    })
+  }
+
+  return lines.join('\n')
+}
+
+/**
+ * Appends Markdown summary of the test run to the GitHub job summary
+ * or to the file given by the "summary-file" parameter.
+ * @see https://docs.github.com/en/actions/using-workflows/workflow-commands-for-github-actions#adding-a-job-summary
+ */
+const writeSummaryMaybe = testResults => {
+  if (!getInputBool('publish-summary', true)) {
+    core.debug('Skipping summary: publish-summary parameter is false')
+    return
+  }
+
+  const summaryFile = getInput('summary-file')
+  const filename = summaryFile
+    ? path.resolve(paths.startWorkingDirectory, summaryFile)
+    : process.env.GITHUB_STEP_SUMMARY
+  if (!filename) {
+    core.debug('No summary file to write to')
+    return
+  }
+
+  core.debug(`writing test summary to ${filename}`)
+  try {
+    fs.appendFileSync(
+      filename,
+      getSummaryMarkdown(testResults) + '\n'
+    )
+  } catch (e) {
+    console.warn('Writing summary error: %s', e.message)
+  }
+}
+
+/**
+ * Hidden marker to find the comment posted by the previous runs.
+ * Matrix jobs share the workflow and job names, so the marker
+ * includes the shard, the browser and the "comment-id" parameter.
+ */
+const getCommentMarker = () => {
+  const shardIndex =
+    getInput('shard-total') && getInput('shard-index')
+  const id = [
+    process.env.GITHUB_WORKFLOW,
+    process.env.GITHUB_JOB,
+    shardIndex && `shard ${shardIndex}`,
+    getInput('browser'),
+    getInput('comment-id')
+  ]
+    .filter(Boolean)
+    .join(' ')
+  return `<!-- cypress-io/github-action ${id} -->`
+}
+
+/**
+ * Posts the test results as a pull request comment, or updates
+ * the comment posted by this workflow job for the previous commits.
+ */
+const commentOnPullRequestMaybe = async testResults => {
+  if (!getInputBool('comment-on-pr')) {
+    return
+  }
+
+  const { GITHUB_TOKEN, GITHUB_REPOSITORY } = process.env
+  if (!GITHUB_TOKEN) {
+    console.warn(
+      'Cannot comment on pull request without GITHUB_TOKEN'
+    )
+    return
+  }
+
+  const payload = getEventPayload()
+  if (!payload.pull_request) {
+    core.debug('Not a pull request event, skipping comment')
+    return
+  }
+
+  const [owner, repo] = GITHUB_REPOSITORY.split('/')
+  const issueNumber = payload.pull_request.number
+  const marker = getCommentMarker()
+  const body = `${marker}\n${getSummaryMarkdown(testResults)}`
+  const client = getOctokit()
+
+  try {
+    let existingComment
+    for (let page = 1; !existingComment; page += 1) {
+      const resp = await client.request(
+        'GET /repos/:owner/:repo/issues/:issue_number/comments',
+        {
+          owner,
+          repo,
+          issue_number: issueNumber,
+          per_page: 100,
+          page
+        }
+      )
+      existingComment = resp.data.find(
+        comment => comment.body && comment.body.startsWith(marker)
+      )
+      if (resp.data.length < 100) {
+        break
+      }
+    }
+
+    if (existingComment) {
+      core.debug(
+        `updating pull request comment ${existingComment.id}`
+      )
+      await client.request(
+        'PATCH /repos/:owner/:repo/issues/comments/:comment_id',
+        {
+          owner,
+          repo,
+          comment_id: existingComment.id,
+          body
+        }
+      )
+    } else {
+      core.debug(`commenting on pull request ${issueNumber}`)
+      await client.request(
+        'POST /repos/:owner/:repo/issues/:issue_number/comments',
+        {
+          owner,
+          repo,
+          issue_number: issueNumber,
+          body
+        }
+      )
+    }
+  } catch (e) {
+    console.warn('Commenting on pull request error: %s', e.message)
+  }
+}
+
+module.exports = {
+  formatDuration,
+  escapeMarkdownCell,
+  getSummaryMarkdown,
+  writeSummaryMaybe,
+  getCommentMarker,
+  commentOnPullRequestMaybe
+}
@@ -0,0 +1,426 @@
+// @ts-check
+const core = require('@actions/core')
+const childProcess = require('child_process')
+const path = require('path')
+const { getInput } = require('./inputs')
+const { CYPRESS_CACHE_FOLDER } = require('./cache')
+const { isWindows, delay } = require('./utils')
+const { servers, killProcessTree } = require('./servers')
+
+// the steps of the action, each can have its own "<phase>-timeout"
+const PHASES = ['install', 'build', 'start', 'wait', 'test']
+
+// phases running a command that should keep printing its progress
+const WATCHED_PHASES = ['install', 'build', 'test']
+
+// how many of the last output lines to show when a phase times out
+const OUTPUT_LINES = 50
+
+// how long to let the phase finish after killing its processes
+const KILLED_PHASE_TIMEOUT_MS = 5000
+
+// how many phases watch the output, the last one restores the streams
+let outputWatchers = 0
+let restoreOutput = () => {}
+let lastOutputAt = Date.now()
+let lastOutputLines = []
+let currentPhase = 'install'
+
+const resetOutput = () => {
+  lastOutputAt = Date.now()
+  lastOutputLines = []
+  currentPhase = 'install'
+}
+
+/**
+ * Returns the timeout parameter in milliseconds, the parameter
+ * is in minutes. Returns 0 if the timeout is not set.
+ */
+const getTimeoutMs = name => {
+  const minutes = parseFloat(getInput(name))
+  return minutes > 0 ? minutes * 60 * 1000 : 0
+}
+
+const formatMinutes = ms => {
+  const minutes = Math.round((ms / 60000) * 100) / 100
+  return minutes === 1 ? '1 minute' : `${minutes} minutes`
+}
+
+const recordOutput = chunk => {
+  lastOutputAt = Date.now()
+  lastOutputLines = lastOutputLines
+    .concat(String(chunk).split(/\r?\n/))
+    // skip the workflow commands like "::debug::"
+    .filter(line => line && !line.startsWith('::'))
+    .slice(-OUTPUT_LINES)
+}
+
+/**
+ * Notes when anything is printed to the action's stdout and stderr,
+ * this includes the output of the commands run by "exec.exec".
+ * Returns the function that stops watching.
+ */
+const watchOutput = () => {
+  outputWatchers += 1
+  if (outputWatchers === 1) {
+    const streams = [process.stdout, process.stderr]
+    const writes = streams.map(stream => {
+      const write = stream.write
+      const writable = /** @type {any} */ (stream)
+      writable.write = function(chunk, ...rest) {
+        recordOutput(chunk)
+        return write.apply(stream, [chunk].concat(rest))
+      }
+      return write
+    })
+    restoreOutput = () => {
+      streams.forEach((stream, k) => {
+        stream.write = writes[k]
+      })
+    }
+  }
+  let watching = true
+  return () => {
+    if (!watching) {
+      return
+    }
+    watching = false
+    outputWatchers -= 1
+    if (!outputWatchers) {
+      restoreOutput()
+    }
+  }
+}
+
+/**
+ * Returns true if the command is the Cypress binary
+ * from the cache folder or from the CYPRESS_RUN_BINARY variable.
+ */
+const isCypressBinary = command => {
+  if (typeof command !== 'string') {
+    return false
+  }
+  const filename = path.resolve(command)
+  return [CYPRESS_CACHE_FOLDER, process.env.CYPRESS_RUN_BINARY]
+    .filter(Boolean)
+    .some(
+      folder =>
+        filename === path.resolve(folder) ||
+        filename.startsWith(path.resolve(folder) + path.sep)
+    )
+}
+
+/**
+ * The Cypress NPM module spawns the binary with the inherited stdout
+ * the action cannot see. Pipes the output of the Cypress binary
+ * through the action's streams instead, other spawned processes
+ * keep their options. Returns the function that stops piping.
+ */
+const pipeInheritedOutput = () => {
+  const spawn = childProcess.spawn
+  const patched = /** @type {any} */ (childProcess)
+  patched.spawn = function(command, args, options) {
+    if (!options || !options.stdio || !isCypressBinary(command)) {
+      return spawn.apply(childProcess, arguments)
+    }
+    const stdio =
+      typeof options.stdio === 'string'
+        ? [options.stdio, options.stdio, options.stdio]
+        : options.stdio.slice()
+    const pipedOut = stdio[1] === 'inherit'
+    const pipedErr = stdio[2] === 'inherit'
+    if (pipedOut) {
+      stdio[1] = 'pipe'
+    }
+    if (pipedErr) {
+      stdio[2] = 'pipe'
+    }
+    const child = spawn.call(childProcess, command, args, {
+      ...options,
+      stdio
+    })
+    if (pipedOut) {
+      child.stdout.on('data', data => process.stdout.write(data))
+    }
+    if (pipedErr) {
+      child.stderr.on('data', data => process.stderr.write(data))
+    }
+    return child
+  }
+  return () => {
+    childProcess.spawn = spawn
+  }
+}
+
+/**
+ * Lists the processes as "pid ppid command" objects.
+ */
+const getProcesses = () => {
+  const result = isWindows()
+    ? childProcess.spawnSync(
+        'powershell',
+        [
+          '-NoProfile',
+          '-Command',
+          'Get-CimInstance Win32_Process | ForEach-Object { "$($_.ProcessId) $($_.ParentProcessId) $($_.CommandLine)" }'
+        ],
+        { encoding: 'utf8' }
+      )
+    : childProcess.spawnSync('ps', ['-A', '-o', 'pid=,ppid=,args='], {
+        encoding: 'utf8'
+      })
+  if (result.error || !result.stdout) {
+    core.debug(
+      `could not list the processes: ${
+        result.error ? result.error.message : result.stderr
+      }`
+    )
+    return []
+  }
+  return result.stdout
+    .split(/\r?\n/)
+    .map(line => line.trim().match(/^(\d+)\s+(\d+)\s*(.*)$/))
+    .filter(Boolean)
+    .map(([, pid, ppid, command]) => ({
+      pid: Number(pid),
+      ppid: Number(ppid),
+      command
+    }))
+    .filter(p => p.pid !== result.pid)
+}
+
+/**
+ * Returns the processes started by the action, the background servers
+ * and their children are left for "stopServers" to stop.
+ */
+const getChildProcesses = () => {
+  const processes = getProcesses()
+  const serverPids = servers.map(server => server.child.pid)
+  const children = []
+  const addChildren = pid => {
+    processes
+      .filter(
+        p =>
+          p.ppid === pid &&
+          !serverPids.includes(p.pid) &&
+          !children.includes(p)
+      )
+      .forEach(p => {
+        children.push(p)
+        addChildren(p.pid)
+      })
+  }
+  addChildren(process.pid)
+  return children
+}
+
+/**
+ * Prints what was running and the last output lines
+ * to help find out why the phase got stuck.
+ */
+const printDiagnostics = (children, outputLines) => {
+  console.log('Running processes started by the action:')
+  if (children.length) {
+    children.forEach(p => {
+      console.log('  %d %d %s', p.pid, p.ppid, p.command)
+    })
+  } else {
+    console.log('  none')
+  }
+  console.log('Last %d output lines:', outputLines.length)
+  outputLines.forEach(line => {
+    console.log('  %s', line)
+  })
+}
+
+/**
+ * Kills the processes started by the action with their children,
+ * except the background servers.
+ */
+const killChildProcesses = children => {
+  const directChildren = children.filter(p => p.ppid === process.pid)
+  if (isWindows()) {
+    directChildren.forEach(p => {
+      console.log('killing process tree %d %s', p.pid, p.command)
+      killProcessTree(p.pid, 'SIGKILL')
+    })
+    return
+  }
+  children.forEach(p => {
+    console.log('killing process %d %s', p.pid, p.command)
+    try {
+      process.kill(p.pid, 'SIGKILL')
+    } catch (e) {
+      core.debug(`could not kill ${p.pid}: ${e.message}`)
+    }
+  })
+}
+
+/**
+ * Prints the diagnostics, kills the processes and lets the phase
+ * finish, so it does not report its results after the action fails.
+ */
+const onTimeout = async (error, promise) => {
+  const outputLines = lastOutputLines
+  console.error(error.message)
+  const children = getChildProcesses()
+  printDiagnostics(children, outputLines)
+  killChildProcesses(children)
+  await Promise.race([
+    promise.catch(() => {}),
+    delay(KILLED_PHASE_TIMEOUT_MS)
+  ])
+  core.setOutput('status', 'errored')
+  throw error
+}
+
+const timeoutError = (message, phase) => {
+  const error = /** @type {any} */ (new Error(message))
+  error.phase = phase
+  return error
+}
+
+/**
+ * Races the promise against the timers that fail it, clearing the timers
+ * and undoing the output watching once the promise settles. When a timer
+ * fires first, prints the diagnostics, kills the running processes
+ * and rejects even if the killed phase resolves.
+ */
+const raceTimers = (promise, timers) =>
+  new Promise((resolve, reject) => {
+    let timedOut = false
+    const cleanups = []
+    const stopTimers = () => cleanups.forEach(cleanup => cleanup())
+    const onTimer = error => {
+      if (timedOut) {
+        return
+      }
+      timedOut = true
+      stopTimers()
+      onTimeout(error, promise).catch(reject)
+    }
+    timers.forEach(startTimer => cleanups.push(startTimer(onTimer)))
+
+    promise.then(
+      value => {
+        if (!timedOut) {
+          stopTimers()
+          resolve(value)
+        }
+      },
+      error => {
+        if (!timedOut) {
+          stopTimers()
+          reject(error)
+        }
+      }
+    )
+  })
+
+/**
+ * Runs one phase of the action, like "build", failing if it takes
+ * longer than the "<phase>-timeout" parameter. The install, build
+ * and test phases also fail if they print nothing for longer than
+ * the "no-output-timeout" parameter. Both parameters are in minutes.
+ */
+const runPhase = (phase, fn) => {
+  currentPhase = phase
+  const timeoutMs = getTimeoutMs(`${phase}-timeout`)
+  const noOutputMs = WATCHED_PHASES.includes(phase)
+    ? getTimeoutMs('no-output-timeout')
+    : 0
+  const promise = Promise.resolve().then(fn)
+  if (!timeoutMs && !noOutputMs) {
+    return promise
+  }
+
+  const timers = [() => watchOutput()]
+  if (timeoutMs) {
+    core.debug(`${phase} phase timeout ${formatMinutes(timeoutMs)}`)
+    timers.push(reject => {
+      const timer = setTimeout(() => {
+        reject(
+          timeoutError(
+            `The "${phase}" phase timed out after ${formatMinutes(
+              timeoutMs
+            )}`,
+            phase
+          )
+        )
+      }, timeoutMs)
+      return () => clearTimeout(timer)
+    })
+  }
+  if (noOutputMs) {
+    core.debug(
+      `${phase} phase no output timeout ${formatMinutes(noOutputMs)}`
+    )
+    lastOutputAt = Date.now()
+    timers.push(reject => {
+      const timer = setInterval(() => {
+        if (Date.now() - lastOutputAt >= noOutputMs) {
+          reject(
+            timeoutError(
+              `The "${phase}" phase printed no output for ${formatMinutes(
+                noOutputMs
+              )}`,
+              phase
+            )
+          )
+        }
+      }, Math.min(noOutputMs, 1000))
+      return () => clearInterval(timer)
+    })
+    if (phase === 'test') {
+      timers.push(() => pipeInheritedOutput())
+    }
+  }
+  return raceTimers(promise, timers)
+}
+
+/**
+ * Runs all the phases, failing if they take longer than
+ * the "timeout" parameter in minutes.
+ */
+const withGlobalTimeout = fn => {
+  const timeoutMs = getTimeoutMs('timeout')
+  const promise = Promise.resolve().then(fn)
+  if (!timeoutMs) {
+    return promise
+  }
+
+  core.debug(`action timeout ${formatMinutes(timeoutMs)}`)
+  return raceTimers(promise, [
+    () => watchOutput(),
+    reject => {
+      const timer = setTimeout(() => {
+        reject(
+          timeoutError(
+            `The action timed out after ${formatMinutes(
+              timeoutMs
+            )} in the "${currentPhase}" phase`,
+            currentPhase
+          )
+        )
+      }, timeoutMs)
+      return () => clearTimeout(timer)
+    }
+  ])
+}
+
+module.exports = {
+  PHASES,
+  WATCHED_PHASES,
+  getTimeoutMs,
+  formatMinutes,
+  watchOutput,
+  resetOutput,
+  isCypressBinary,
+  pipeInheritedOutput,
+  getProcesses,
+  getChildProcesses,
+  printDiagnostics,
+  killChildProcesses,
+  runPhase,
+  withGlobalTimeout
+}
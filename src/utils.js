@@ -0,0 +1,138 @@
+// @ts-check
+const core = require('@actions/core')
+const exec = require('@actions/exec')
+const io = require('@actions/io')
+const os = require('os')
+const quote = require('quote')
+const { paths } = require('./paths')
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Resolves once the promise settles or after the given time,
+ * whichever comes first, without keeping the process alive.
+ */
+const waitAtMost = (promise, ms) => {
+  let timer
+  return Promise.race([
+    promise,
+    new Promise(resolve => {
+      timer = setTimeout(resolve, ms)
+    })
+  ]).then(
+    () => clearTimeout(timer),
+    () => clearTimeout(timer)
+  )
+}
+
+/**
+ * Splits the command into arguments like a shell does: whitespace
+ * separates the arguments, single quotes keep the text as is,
+ * and double quotes allow escaped quotes and backslashes inside.
+ * Outside of quotes a backslash only escapes whitespace and quotes,
+ * thus Windows paths like "C:\tools\app.exe" work as is.
+ */
+const parseCommandLine = command => {
+  const args = []
+  let current = ''
+  let hasArgument = false
+  let openQuote
+  for (let k = 0; k < command.length; k += 1) {
+    const c = command[k]
+    const next = command[k + 1]
+    if (openQuote === "'") {
+      if (c === "'") {
+        openQuote = undefined
+      } else {
+        current += c
+      }
+    } else if (openQuote === '"') {
+      if (c === '"') {
+        openQuote = undefined
+      } else if (c === '\\' && (next === '"' || next === '\\')) {
+        current += next
+        k += 1
+      } else {
+        current += c
+      }
+    } else if (c === "'" || c === '"') {
+      openQuote = c
+      hasArgument = true
+    } else if (c === '\\' && next && /[\s'"]/.test(next)) {
+      current += next
+      k += 1
+      hasArgument = true
+    } else if (/\s/.test(c)) {
+      if (hasArgument) {
+        args.push(current)
+        current = ''
+        hasArgument = false
+      }
+    } else {
+      current += c
+      hasArgument = true
+    }
+  }
+  if (openQuote) {
+    throw new Error(
+      `Missing closing ${openQuote} in command "${command}"`
+    )
+  }
+  if (hasArgument) {
+    args.push(current)
+  }
+  return args
+}
+
+/**
+ * Parses input command, finds the tool and
+ * the runs the command.
+ */
+const execCommand = (
+  fullCommand,
+  waitToFinish = true,
+  label = 'executing'
+) => {
+  const cwd = paths.cypressCommandOptions.cwd
+
+  console.log('%s with command "%s"', label, fullCommand)
+  console.log('current working directory "%s"', cwd)
+
+  const args = parseCommandLine(fullCommand)
+  core.debug(`parsed command: ${args.join(' ')}`)
+
+  return io.which(args[0], true).then(toolPath => {
+    core.debug(`found command "${toolPath}"`)
+    core.debug(`with arguments ${args.slice(1).join(' ')}`)
+
+    const toolArguments = args.slice(1)
+    const argsString = toolArguments.join(' ')
+    core.debug(`running ${quote(toolPath)} ${argsString} in ${cwd}`)
+    core.debug('without waiting for the promise to resolve')
+
+    const promise = exec.exec(
+      quote(toolPath),
+      toolArguments,
+      paths.cypressCommandOptions
+    )
+    if (waitToFinish) {
+      return promise
+    }
+  })
+}
+
+const isWindows = () => os.platform() === 'win32'
+
+const homeDirectory = os.homedir()
+
+const platformAndArch = `${process.platform}-${process.arch}`
+
+module.exports = {
+  delay,
+  waitAtMost,
+  parseCommandLine,
+  execCommand,
+  isWindows,
+  homeDirectory,
+  platformAndArch
+}
@@ -0,0 +1,316 @@
+// @ts-check
+const core = require('@actions/core')
+const {
+  getInput,
+  getInputList,
+  getInputRegExp,
+  getInputBool
+} = require('./inputs')
+const { parseObjectInput } = require('./env-config')
+const { parseCommandLine } = require('./utils')
+const { PHASES } = require('./timeouts')
+const { getBinaryChecksum } = require('./binary')
+
+const BOOLEAN_INPUTS = [
+  'record',
+  'parallel',
+  'headless',
+  'quiet',
+  'install',
+  'runTests',
+  'publish-summary',
+  'annotate',
+  'comment-on-pr',
+  'fail-on-flaky',
+  'dry-run',
+  'strict',
+  'skip-missing-browsers'
+]
+
+const NUMBER_INPUTS = [
+  'wait-on-timeout',
+  'max-annotations',
+  'retry-failed-specs',
+  'shard-index',
+  'shard-total',
+  'timeout',
+  'no-output-timeout'
+].concat(PHASES.map(phase => `${phase}-timeout`))
+
+// inputs ignored when running a custom test command
+const CYPRESS_RUN_INPUTS = [
+  'spec',
+  'browser',
+  'env',
+  'config',
+  'group',
+  'tag',
+  'project',
+  'ci-build-id',
+  'command-prefix',
+  'shard-total',
+  'sensitive-env'
+]
+
+// inputs that need the test results from the NPM module API
+const MODULE_API_INPUTS = [
+  'junit-file',
+  'results-file',
+  'retry-failed-specs'
+]
+
+// browser names Cypress knows, besides a path to the browser
+// https://on.cypress.io/launching-browsers
+const KNOWN_BROWSERS = [
+  'chrome',
+  'chromium',
+  'edge',
+  'electron',
+  'firefox'
+]
+
+const PACKAGE_RUNNERS = [
+  'auto',
+  'package-manager',
+  'yarn',
+  'pnpm',
+  'npx'
+]
+
+/**
+ * Checks the input parameters before doing any work. Invalid values
+ * are errors, ignored or contradictory combinations are warnings,
+ * which the "strict" mode turns into errors.
+ */
+const validateInputs = () => {
+  const errors = []
+  const warnings = []
+  const isSet = name => {
+    const value = getInput(name)
+    if (BOOLEAN_INPUTS.includes(name)) {
+      return value === 'true' || value === '1'
+    }
+    if (NUMBER_INPUTS.includes(name)) {
+      return Boolean(parseFloat(value))
+    }
+    return Boolean(value)
+  }
+
+  BOOLEAN_INPUTS.forEach(name => {
+    const value = getInput(name)
+    if (value && !['true', 'false', '1', '0'].includes(value)) {
+      errors.push(`${name} should be true or false, got "${value}"`)
+    }
+  })
+  NUMBER_INPUTS.forEach(name => {
+    const value = getInput(name)
+    if (value && !/^\d+(\.\d+)?$/.test(value.trim())) {
+      errors.push(`${name} should be a number, got "${value}"`)
+    }
+  })
+  const waitOn = getInput('wait-on')
+  if (waitOn.startsWith('{') || waitOn.startsWith('[')) {
+    try {
+      JSON.parse(waitOn)
+    } catch (e) {
+      errors.push(`wait-on is not valid JSON: ${e.message}`)
+    }
+  }
+  ;['env', 'config'].forEach(name => {
+    try {
+      parseObjectInput(name)
+    } catch (e) {
+      errors.push(e.message)
+    }
+  })
+  const packageRunner = getInput('package-runner')
+  if (packageRunner && !PACKAGE_RUNNERS.includes(packageRunner)) {
+    errors.push(
+      `package-runner should be one of ${PACKAGE_RUNNERS.join(
+        ', '
+      )}, got "${packageRunner}"`
+    )
+  }
+  const commands = ['build', 'command', 'command-prefix']
+    .map(getInput)
+    // the start commands go on separate lines
+    .concat(
+      getInput('start').split(/\r?\n/),
+      getInput('start-windows').split(/\r?\n/)
+    )
+    .filter(Boolean)
+  commands.forEach(command => {
+    try {
+      parseCommandLine(command)
+    } catch (e) {
+      errors.push(e.message)
+    }
+  })
+  ;['start-ready-pattern', 'start-error-pattern'].forEach(name => {
+    try {
+      getInputRegExp(name)
+    } catch (e) {
+      errors.push(
+        `${name} is not a valid regular expression: ${e.message}`
+      )
+    }
+  })
+
+  const browsers = getInputList('browser')
+  browsers.forEach(browser => {
+    // a browser name can have a channel, like "chrome:canary"
+    if (
+      !KNOWN_BROWSERS.includes(browser.split(':')[0]) &&
+      !/[/\\]/.test(browser)
+    ) {
+      errors.push(
+        `Unknown browser "${browser}", expected one of ${KNOWN_BROWSERS.join(
+          ', '
+        )} or a path to the browser`
+      )
+    }
+  })
+
+  const recordApiUrl = getInput('record-api-url')
+  if (recordApiUrl && !/^https?:\/\/[^/\s]+/.test(recordApiUrl)) {
+    errors.push(
+      `record-api-url should be an http or https URL, got "${recordApiUrl}"`
+    )
+  }
+
+  const downloadMirror = getInput('download-mirror')
+  if (downloadMirror && !/^https?:\/\/[^/\s]+/.test(downloadMirror)) {
+    errors.push(
+      `download-mirror should be an http or https URL, got "${downloadMirror}"`
+    )
+  }
+  try {
+    getBinaryChecksum()
+  } catch (e) {
+    errors.push(e.message)
+  }
+
+  const workingDirectories = getInputList('working-directory')
+  const projectFolders = getInputList('project')
+  if (workingDirectories.length > 1 && projectFolders.length > 1) {
+    errors.push(
+      'Use a list in working-directory or in project, not in both'
+    )
+  }
+  if (workingDirectories.length > 1 || projectFolders.length > 1) {
+    // several projects run using the NPM module API only
+    ;['command', 'command-prefix', 'shard-total']
+      .filter(isSet)
+      .forEach(name => {
+        errors.push(`${name} cannot be used with several projects`)
+      })
+  }
+  if (browsers.length > 1) {
+    ;['command', 'command-prefix'].filter(isSet).forEach(name => {
+      errors.push(`${name} cannot be used with several browsers`)
+    })
+  }
+  if (isSet('skip-missing-browsers') && browsers.length < 2) {
+    warnings.push(
+      'skip-missing-browsers is ignored without a list of browsers'
+    )
+  }
+
+  if (isSet('command')) {
+    CYPRESS_RUN_INPUTS.concat(MODULE_API_INPUTS, [
+      'record',
+      'parallel',
+      'headless',
+      'quiet'
+    ])
+      .filter(isSet)
+      .forEach(name => {
+        warnings.push(
+          `${name} is ignored when using a custom command`
+        )
+      })
+  } else if (isSet('command-prefix')) {
+    MODULE_API_INPUTS.filter(isSet).forEach(name => {
+      warnings.push(`${name} is ignored when using command-prefix`)
+    })
+  }
+
+  if (isSet('parallel') && !isSet('record')) {
+    warnings.push('parallel does nothing without record')
+  }
+  if (isSet('group') && !isSet('record')) {
+    warnings.push('group requires record')
+  }
+  if (isSet('ci-build-id') && !isSet('parallel') && !isSet('group')) {
+    warnings.push('ci-build-id is ignored without parallel or group')
+  }
+  if (isSet('shard-index') !== isSet('shard-total')) {
+    errors.push('shard-index and shard-total must be used together')
+  }
+  if (isSet('shard-total') && isSet('parallel')) {
+    warnings.push(
+      'shard-total and parallel both split the specs, use only one of them'
+    )
+  }
+  if (isSet('shard-total') && isSet('spec')) {
+    warnings.push('spec is ignored when using shard-total')
+  }
+  if (isSet('comment-id') && !isSet('comment-on-pr')) {
+    warnings.push('comment-id does nothing without comment-on-pr')
+  }
+  if (isSet('sensitive-env') && !isSet('env')) {
+    warnings.push('sensitive-env does nothing without env')
+  }
+  if (isSet('fail-on-flaky') && !isSet('retry-failed-specs')) {
+    warnings.push(
+      'fail-on-flaky does nothing without retry-failed-specs'
+    )
+  }
+  if (
+    !isSet('start') &&
+    !isSet('start-windows') &&
+    (isSet('start-ready-pattern') || isSet('start-error-pattern'))
+  ) {
+    warnings.push(
+      'start-ready-pattern and start-error-pattern require start command'
+    )
+  }
+  if (
+    isSet('wait-on-timeout') &&
+    !isSet('wait-on') &&
+    !isSet('start-ready-pattern')
+  ) {
+    warnings.push('wait-on-timeout is ignored without wait-on')
+  }
+
+  if (isSet('install-binary') && isSet('download-mirror')) {
+    warnings.push(
+      'download-mirror is ignored when using install-binary'
+    )
+  }
+  if (!getInputBool('install', true)) {
+    ;['install-binary', 'download-mirror', 'binary-checksum']
+      .filter(isSet)
+      .forEach(name => {
+        warnings.push(`${name} is ignored when install is false`)
+      })
+  }
+
+  if (getInputBool('strict')) {
+    errors.push(...warnings)
+  } else {
+    warnings.forEach(warning => core.warning(warning))
+  }
+  if (errors.length) {
+    throw new Error(`Invalid parameters:\n${errors.join('\n')}`)
+  }
+}
+
+module.exports = {
+  BOOLEAN_INPUTS,
+  NUMBER_INPUTS,
+  CYPRESS_RUN_INPUTS,
+  MODULE_API_INPUTS,
+  KNOWN_BROWSERS,
+  validateInputs
+}
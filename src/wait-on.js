@@ -0,0 +1,211 @@
+// @ts-check
+const core = require('@actions/core')
+const got = require('got')
+const fs = require('fs')
+const net = require('net')
+const path = require('path')
+const { paths } = require('./paths')
+const { delay } = require('./utils')
+
+/**
+ * Parses the expected HTTP status like "200", "200-299" or "2xx"
+ * into an inclusive range.
+ */
+const parseStatusRange = status => {
+  const text = String(status).trim()
+  const wildcard = text.match(/^(\d)xx$/i)
+  if (wildcard) {
+    const hundreds = parseInt(wildcard[1]) * 100
+    return [hundreds, hundreds + 99]
+  }
+  const range = text.match(/^(\d{3})\s*-\s*(\d{3})$/)
+  if (range) {
+    return [parseInt(range[1]), parseInt(range[2])]
+  }
+  if (/^\d{3}$/.test(text)) {
+    return [parseInt(text), parseInt(text)]
+  }
+  throw new Error(`Invalid expected status "${status}"`)
+}
+
+/**
+ * Parses a single wait-on resource. The resource can be a string like
+ * "http://localhost:3000", "tcp:localhost:5432", "socket:/tmp/app.sock"
+ * or "file:dist/index.html", or an object with the "resource" string
+ * and optional "timeout" (seconds), "status" and "body" properties.
+ */
+const parseWaitOnResource = (item, defaultTimeoutSeconds) => {
+  const options = typeof item === 'string' ? { resource: item } : item
+  const resource = String(options.resource || '').trim()
+  if (!resource) {
+    throw new Error(
+      `Missing wait-on resource in ${JSON.stringify(item)}`
+    )
+  }
+
+  const parsed = {
+    resource,
+    timeout:
+      parseFloat(options.timeout || defaultTimeoutSeconds) * 1000
+  }
+
+  if (/^https?:\/\//.test(resource)) {
+    parsed.type = 'http'
+    parsed.url = resource
+    parsed.status = parseStatusRange(options.status || '200-399')
+    parsed.body = options.body
+  } else if (resource.startsWith('tcp:')) {
+    // "tcp:port" or "tcp:host:port"
+    const parts = resource.slice(4).split(':')
+    parsed.type = 'tcp'
+    parsed.port = parseInt(parts.pop())
+    parsed.host = parts.join(':') || 'localhost'
+    if (!parsed.port) {
+      throw new Error(
+        `Invalid port in wait-on resource "${resource}"`
+      )
+    }
+  } else if (resource.startsWith('socket:')) {
+    parsed.type = 'socket'
+    parsed.path = resource.slice(7)
+  } else if (resource.startsWith('file:')) {
+    parsed.type = 'file'
+    parsed.path = path.resolve(
+      paths.workingDirectory,
+      resource.slice(5)
+    )
+  } else {
+    throw new Error(
+      `Unknown wait-on resource "${resource}", expected http(s)://, tcp:, socket: or file: resource`
+    )
+  }
+
+  return parsed
+}
+
+/**
+ * Parses the wait-on parameter: a single resource, a list of resources
+ * separated by commas or new lines, or a JSON array of resources.
+ */
+const parseWaitOnResources = (waitOn, defaultTimeoutSeconds) => {
+  const text = waitOn.trim()
+  let items
+  if (text.startsWith('[') || text.startsWith('{')) {
+    items = [].concat(JSON.parse(text))
+  } else {
+    items = text
+      .split(/[\n,]/)
+      .map(s => s.trim())
+      .filter(Boolean)
+  }
+  return items.map(item =>
+    parseWaitOnResource(item, defaultTimeoutSeconds)
+  )
+}
+
+const checkConnection = connectOptions =>
+  new Promise((resolve, reject) => {
+    const socket = net.connect(connectOptions)
+    socket.setTimeout(5000)
+    socket.once('connect', () => {
+      socket.end()
+      resolve()
+    })
+    socket.once('timeout', () => {
+      socket.destroy()
+      reject(new Error('connection timed out'))
+    })
+    socket.once('error', reject)
+  })
+
+/**
+ * Checks the resource once, resolves if it is ready
+ * and rejects with the reason if it is not.
+ */
+const checkResource = resource => {
+  switch (resource.type) {
+    case 'http':
+      return got(resource.url, {
+        retry: 0,
+        throwHttpErrors: false,
+        timeout: 5000
+      }).then(response => {
+        const [minStatus, maxStatus] = resource.status
+        if (
+          response.statusCode < minStatus ||
+          response.statusCode > maxStatus
+        ) {
+          throw new Error(
+            `status ${response.statusCode}, expected ${minStatus}-${maxStatus}`
+          )
+        }
+        if (resource.body && !response.body.includes(resource.body)) {
+          throw new Error(
+            `response body does not include "${resource.body}"`
+          )
+        }
+      })
+    case 'tcp':
+      return checkConnection({
+        host: resource.host,
+        port: resource.port
+      })
+    case 'socket':
+      return checkConnection({ path: resource.path })
+    case 'file':
+      return fs.existsSync(resource.path)
+        ? Promise.resolve()
+        : Promise.reject(
+            new Error(`file ${resource.path} does not exist`)
+          )
+  }
+}
+
+/**
+ * Checks the resource every second until it is ready, kind of
+ * a poor man's https://www.npmjs.com/package/wait-on
+ * Rejects with the last error seen if the resource times out.
+ * Stops checking once the "cancel" object is marked cancelled.
+ * @param {{ cancelled: boolean }} [cancel]
+ */
+const waitForResource = async (resource, cancel) => {
+  const start = +new Date()
+  let lastError
+  while (true) {
+    try {
+      await checkResource(resource)
+      core.debug(
+        `${resource.resource} is ready after ${+new Date() - start}ms`
+      )
+      return
+    } catch (e) {
+      lastError = e
+      core.debug(
+        `${+new Date() - start}ms ${resource.resource} ${e.message}`
+      )
+    }
+
+    if (+new Date() - start > resource.timeout) {
+      throw new Error(
+        `"${
+          resource.resource
+        }" was not ready after ${resource.timeout /
+          1000} seconds, last error: ${lastError.message}`
+      )
+    }
+    await delay(1000)
+    if (cancel && cancel.cancelled) {
+      core.debug(`stopped waiting for ${resource.resource}`)
+      return
+    }
+  }
+}
+
+module.exports = {
+  parseStatusRange,
+  parseWaitOnResource,
+  parseWaitOnResources,
+  checkConnection,
+  checkResource,
+  waitForResource
+}